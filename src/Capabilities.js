@@ -58,6 +58,16 @@ try {
 }
 
 
+// wheelEventConstructor, for WheelEvent
+export var wheelEventConstructor = true;
+
+try {
+	var foo = new WheelEvent('wheel');
+} catch(e) {
+	wheelEventConstructor = false;
+}
+
+
 // mouse: `true` if the browser implements `MouseEvent`
 export var mouse = !!('MouseEvent' in window);
 
@@ -67,6 +77,9 @@ export var touch = !!('TouchEvent' in window);
 // pointer: `true` if the browser implements `PointerEvent`
 export var pointer = !!('PointerEvent' in window || 'MSPointerEvent' in window);
 
+// wheel: `true` if the browser implements `WheelEvent`
+export var wheel = !!('WheelEvent' in window);
+
 
 
 
@@ -0,0 +1,100 @@
+
+// Conversions between the coordinate spaces of the events. Only for internal
+// use, not exposed to the API user.
+//
+// The state of a finger is always kept in client coordinates (relative to the
+// layout viewport), and converted when building events:
+// * page coordinates are relative to the document, i.e. client plus scroll;
+// * screen coordinates are relative to the screen, i.e. client plus the
+//   position of the viewport on the screen, scaled by the pinch-zoom level;
+// * offset coordinates are relative to the padding edge of the event target.
+//
+// All of them are relative to the given window, which might be an iframe's.
+
+
+// Returns the scroll offset of the document of the given window, as `[x, y]`.
+function scrollOffset(win) {
+	return [win.pageXOffset || 0, win.pageYOffset || 0];
+}
+
+
+// Returns `[x, y]` page coordinates for the given client coordinates.
+export function clientToPage(win, x, y) {
+	var scroll = scrollOffset(win);
+	return [x + scroll[0], y + scroll[1]];
+}
+
+
+// Returns `[x, y]` client coordinates for the given page coordinates.
+export function pageToClient(win, x, y) {
+	var scroll = scrollOffset(win);
+	return [x - scroll[0], y - scroll[1]];
+}
+
+
+// Returns the `[x, y]` position of the viewport of the given window inside the
+// viewport of its parent, i.e. the position of the content box of its iframe.
+// That's `[0, 0]` for top-level windows, and for cross-origin iframes, whose
+// iframe element is out of reach.
+export function frameOffset(win) {
+	var frame = win.frameElement;
+	if (!frame) {
+		return [0, 0];
+	}
+	var rect = frame.getBoundingClientRect();
+	var style = win.parent.getComputedStyle(frame);
+	return [
+		rect.left + (frame.clientLeft || 0) + (parseFloat(style.paddingLeft) || 0),
+		rect.top + (frame.clientTop || 0) + (parseFloat(style.paddingTop) || 0)
+	];
+}
+
+
+// Returns `[x, y]` screen coordinates for the given client coordinates.
+// Only Firefox knows where the viewport is inside the browser window, so other
+// browsers get the position of the window itself.
+export function clientToScreen(win, x, y) {
+	// Iframes are somewhere inside the viewport of their parent
+	while (win.frameElement && !('mozInnerScreenX' in win)) {
+		var offset = frameOffset(win);
+		x += offset[0];
+		y += offset[1];
+		win = win.parent;
+	}
+
+	var originX = 'mozInnerScreenX' in win ? win.mozInnerScreenX : (win.screenX || 0);
+	var originY = 'mozInnerScreenY' in win ? win.mozInnerScreenY : (win.screenY || 0);
+
+	// When pinch-zoomed, the visual viewport is a scaled portion of the layout viewport
+	var viewport = win.visualViewport;
+	if (viewport) {
+		return [
+			originX + (x - viewport.offsetLeft) * viewport.scale,
+			originY + (y - viewport.offsetTop) * viewport.scale
+		];
+	}
+	return [originX + x, originY + y];
+}
+
+
+// Returns `[x, y]` client coordinates for coordinates relative to the top-left
+// corner of the bounding box of an element.
+export function elementToClient(element, x, y) {
+	var rect = element.getBoundingClientRect();
+	return [rect.left + x, rect.top + y];
+}
+
+
+// Returns `[x, y]` offset coordinates for the given client coordinates, relative
+// to the padding edge of the given element.
+export function clientToOffset(element, x, y) {
+	if (!element || !element.getBoundingClientRect) {
+		return [x, y];
+	}
+	var rect = element.getBoundingClientRect();
+	return [
+		x - rect.left - (element.clientLeft || 0),
+		y - rect.top - (element.clientTop || 0)
+	];
+}
+
@@ -0,0 +1,112 @@
+
+// Easing functions for finger movements. An easing function takes the elapsed
+// fraction of a movement's duration (between 0 and 1) and returns the fraction
+// of the distance which should have been travelled by then.
+
+
+export function linear(t) {
+	return t;
+}
+
+
+// Returns an easing function equivalent to the CSS `cubic-bezier()` timing
+// function with the given control points.
+export function cubicBezier(x1, y1, x2, y2) {
+
+	// Coefficients of the polynomials for x(u) and y(u), being `u` the curve parameter
+	var cx = 3 * x1;
+	var bx = 3 * (x2 - x1) - cx;
+	var ax = 1 - cx - bx;
+	var cy = 3 * y1;
+	var by = 3 * (y2 - y1) - cy;
+	var ay = 1 - cy - by;
+
+	function curveX(u) { return ((ax * u + bx) * u + cx) * u; }
+	function curveY(u) { return ((ay * u + by) * u + cy) * u; }
+	function slopeX(u) { return (3 * ax * u + 2 * bx) * u + cx; }
+
+	// Finds the curve parameter for the given `x`. Newton-Raphson usually
+	// converges in a few steps; fall back to bisection when it doesn't.
+	function solveX(x) {
+		var u = x;
+		for (var i = 0; i < 8; i++) {
+			var error = curveX(u) - x;
+			if (Math.abs(error) < 1e-6) {
+				return u;
+			}
+			var slope = slopeX(u);
+			if (Math.abs(slope) < 1e-6) {
+				break;
+			}
+			u -= error / slope;
+		}
+
+		var lo = 0, hi = 1;
+		u = x;
+		while (lo < hi) {
+			var value = curveX(u);
+			if (Math.abs(value - x) < 1e-6) {
+				return u;
+			}
+			if (x > value) {
+				lo = u;
+			} else {
+				hi = u;
+			}
+			if (hi - lo < 1e-9) {
+				break;
+			}
+			u = (lo + hi) / 2;
+		}
+		return u;
+	}
+
+	return function(t) {
+		if (t <= 0) { return 0; }
+		if (t >= 1) { return 1; }
+		return curveY(solveX(t));
+	};
+}
+
+
+// Same control points as the CSS keywords
+export var ease      = cubicBezier(0.25, 0.1, 0.25, 1);
+export var easeIn    = cubicBezier(0.42, 0,   1,    1);
+export var easeOut   = cubicBezier(0,    0,   0.58, 1);
+export var easeInOut = cubicBezier(0.42, 0,   0.58, 1);
+
+
+var keywords = {
+	'linear': linear,
+	'ease': ease,
+	'ease-in': easeIn,
+	'ease-out': easeOut,
+	'ease-in-out': easeInOut
+};
+
+
+// Returns an easing function given either a function (returned as is), one of
+// the CSS keywords (`linear`, `ease`, `ease-in`, `ease-out`, `ease-in-out`) or
+// a string like `'cubic-bezier(0.1, 0.7, 1.0, 0.1)'`.
+export function getEasing(easing) {
+	if (typeof easing === 'function') {
+		return easing;
+	}
+
+	var name = String(easing).trim();
+	if (name in keywords) {
+		return keywords[name];
+	}
+
+	var match = name.match(/^cubic-bezier\(([^)]*)\)$/);
+	if (match) {
+		var points = match[1].split(',').map(Number);
+		if (points.length === 4 && points.every(isFinite) &&
+		    points[0] >= 0 && points[0] <= 1 && points[2] >= 0 && points[2] <= 1) {
+			return cubicBezier(points[0], points[1], points[2], points[3]);
+		}
+	}
+
+	throw new Error('Unknown easing: ' + easing);
+}
+
@@ -6,6 +6,7 @@ export var MINIMAL = 2;
 export var INSTANT = 3;
 export var FRAME = 4;
 export var FASTFRAME = 5;
+export var MANUAL = 6;
 
 // export var INTERVAL = new Symbol();
 // export var MINIMAL = new Symbol();
@@ -1,6 +1,12 @@
 
-import IvansFinger from './IvansIndexFinger.js';
 import * as capabilities from './Capabilities.js';
+import { getEasing } from './Easing.js';
+import { flattenPath, walker } from './Path.js';
+import { prng, randomSeed, valueNoise } from './Jitter.js';
+import { clientToPage, clientToScreen, pageToClient, elementToClient, frameOffset } from './Coordinates.js';
+import { createRenderers } from './Renderers.js';
+import { elementFromPoint, composedParent, composedContains } from './Shadow.js';
+import { addPointer, removePointer, getCaptureTarget, setPendingCapture, clearPendingCapture, processPendingCapture } from './PointerCapture.js';
 
 
 // Self-incrementing identifier for touch ID and pointer ID.
@@ -8,6 +14,29 @@ import * as capabilities from './Capabilities.js';
 //   ID whenever they go down.
 var fingerIdSequence = 1;
 
+// Describes an action which cannot be exported by `Hand.toScript()`, and why.
+function unexportable(reason) {
+	return { unexportable: reason };
+}
+
+// Names of the mouse buttons, in the order of their `MouseEvent.button` values,
+// and their matching bits in `MouseEvent.buttons`.
+var buttonNames = ['primary', 'auxiliary', 'secondary', 'back', 'forward'];
+var buttonMasks = [1, 4, 2, 8, 16];
+
+// Horizontal and vertical fractions of a bounding box, for the `anchor` move option.
+var anchors = {
+	'center':       [0.5, 0.5],
+	'top':          [0.5, 0],
+	'bottom':       [0.5, 1],
+	'left':         [0,   0.5],
+	'right':        [1,   0.5],
+	'top-left':     [0,   0],
+	'top-right':    [1,   0],
+	'bottom-left':  [0,   1],
+	'bottom-right': [1,   1]
+};
+
 // 🖑class Finger
 // Represents a finger, capable of performing single touch/pointer/mouse synthetic
 // events.
@@ -37,7 +66,16 @@ export default class Finger {
 
 		this._hand = options.hand;
 
-		/// TODO: parkinsonFactor or shakesFactor or jitteryness or something
+		// Where the events of this finger happen: the window and document of its hand
+		this._window = this._hand._window;
+		this._document = this._hand._document;
+
+		// The options this finger was grown with, for `Hand.toScript()`
+		this._options = Object.assign({}, options);
+		delete this._options.hand;
+
+		// Descriptions of all the actions queued so far, for `Hand.toScript()`
+		this._actions = [];
 
 
 		// 🖑section Finger state
@@ -54,6 +92,9 @@ export default class Finger {
 			// 🖑option down: Boolean; Whether the finger is down (clicking/touching/pressing) or not. This is referred to as "active" in some of the events specifications.
 			down: false,
 
+			// 🖑option buttons: Number = 0; Bitmask of the pressed mouse buttons, as in [`MouseEvent.buttons`](https://developer.mozilla.org/docs/Web/API/MouseEvent/buttons). When the finger is down and this is zero, the primary button is assumed.
+			buttons: 0,
+
 			// 🖑option pressure: Number = 0.5; The value for [`Touch.force`](`https://developer.mozilla.org/docs/Web/API/Touch/force`) or [`PointerEvent.pressure`](https://developer.mozilla.org/docs/Web/API/PointerEvent/pressure), between `0.0` and `1.0`
 			pressure: 0.5,
 
@@ -70,7 +111,25 @@ export default class Finger {
 			height: 25,
 
 			// 🖑option pointerType: String = 'pen'; The value for [`PointerEvent.pointerType`](https://developer.mozilla.org/docs/Web/API/PointerEvent/pointerType)
-			pointerType: 'pen'
+			pointerType: 'pen',
+
+			// 🖑option ctrlKey: Boolean = false; Whether the <kbd>Ctrl</kbd> key is held down, for the `ctrlKey` property of all events
+			ctrlKey: false,
+
+			// 🖑option altKey: Boolean = false; Whether the <kbd>Alt</kbd> key is held down, for the `altKey` property of all events
+			altKey: false,
+
+			// 🖑option shiftKey: Boolean = false; Whether the <kbd>Shift</kbd> key is held down, for the `shiftKey` property of all events
+			shiftKey: false,
+
+			// 🖑option metaKey: Boolean = false; Whether the <kbd>Meta</kbd> key is held down, for the `metaKey` property of all events
+			metaKey: false,
+
+			// Not really options: the accumulated amount scrolled with `wheel()`
+			// on each axis, and the `deltaMode` of the last wheel movement.
+			wheelX: 0,
+			wheelY: 0,
+			deltaMode: 0
 		}, options);
 
 
@@ -87,41 +146,60 @@ export default class Finger {
 		// These are called duration, finalState and getState().
 		// getState() gets called with an amount of milliseconds since the last movement
 		// getState() might return `false`, meaning 'nothing happened since last time'
+		// The final state only holds the properties changed by the movement.
+		// A movement might also have a start() function, called with the finger
+		// state when the movement begins. This is meant for movements which
+		// depend on things that might change in the meantime (e.g. the page
+		// scroll), which can then set their finalState and getState().
 
 		this._movements = [];
 
 		// Timestamp for the end of the last movement.
-		this._movesUntil = performance.now();
+		this._movesUntil = this._hand.now();
 
 		// Timestamp for the start of the current movement. This is always in the past.
-		this._movesFrom = performance.now();
+		this._movesFrom = this._hand.now();
 
 		// Final state of the last movement (to calculate the next movement if needed).
 		this._finalState = Object.assign({}, this._state);
 
-		// This should be configurable with custom/more graphics
 		if (this._mode === 'touch') {
-			this._initGraphicIvansFinger();
 			if (!capabilities.touch) {
 				console.warn('This browser cannot emulate touch events.');
 			}
 		} else if (this._mode === 'pointer') {
-			if (this._state.pointerType === 'touch') {
-				this._initGraphicIvansFinger();
-			} else {
-				this._initGraphicCircle();
-			}
 			if (!capabilities.pointer) {
 				console.warn('This browser cannot emulate pointer events.');
 			}
 		} else {
 			this._mode = 'mouse';
-			this._initGraphicCircle();
 			if (!capabilities.mouse) {
 				console.warn('This browser cannot emulate mouse events.');
 			}
 		}
 
+		// 🖑section Rendering
+		// 🖑option renderer: String|Renderer = *
+		// How to draw the finger on the page: `'circle'`, `'finger'` (an image
+		// of an index finger), `'none'` to leave the page alone, or a custom
+		// `Renderer`. The built-in ones reflect the pressure and contact size
+		// of the finger. Defaults to the `renderer` of the hand, or else to
+		// `'finger'` for touches and `'circle'` for anything else.
+		var renderer = 'renderer' in options ? options.renderer : this._hand._renderer;
+		if (renderer === undefined) {
+			renderer = this._mode === 'touch' || (this._mode === 'pointer' && this._state.pointerType === 'touch') ?
+				'finger' : 'circle';
+		}
+
+		// 🖑option trail: Number = 0
+		// When set, a trail follows the finger while it's down, showing its
+		// path during the last that many milliseconds (of real time) and fading
+		// out with time, also after the finger lifts. Defaults to the `trail` of the hand.
+		var trail = 'trail' in options ? options.trail : this._hand._trail;
+
+		this._renderers = createRenderers(renderer, trail);
+		this._render('create');
+
 
 		// Only used for `TouchEvent`s (as `Touch.target`): Will hold a
 		// reference to the DOM element on which the touch point started when
@@ -132,6 +210,207 @@ export default class Finger {
 		// for checking whether a `Touch` should be in the `targetTouches` `TouchList`
 		this._currentTarget = undefined;
 
+		// The element which last received a `mouseover`/`pointerover` event, if any.
+		this._hoverTarget = undefined;
+
+		// Pending `resolve`/`reject` pairs for the promises returned by `done()`
+		this._doneCallbacks = [];
+
+		// Set when the finger is removed from its hand
+		this._destroyed = false;
+
+		// 🖑section Jitter
+		// Fingers can shake a bit, to emulate the noise of real input devices.
+		// The noise is added on top of the queued movements, and is fully
+		// determined by a seed, so a run can be replayed exactly.
+		// 🖑option jitter: Jitter options = undefined
+		// Enables jitter for this finger.
+		this._jitter = null;
+		if (options.jitter) {
+			this._initJitter(options.jitter);
+			this._options.jitter = Object.assign({}, options.jitter, { seed: this._jitter.seed });
+		}
+
+		// Offsets added to the state by the jitter, the last time it was applied
+		this._jitterOffset = { x: 0, y: 0, pressure: 0 };
+
+		// 🖑section Clicks
+		// Fingers fire `click` events after going down and up on the same
+		// element (or on elements with a common ancestor), and count
+		// consecutive clicks in the `detail` property of the events, firing
+		// `dblclick` after the second one.
+		// 🖑option clicks: Boolean = true
+		// Set to `false` to disable synthetic `click` and `dblclick` events.
+		this._clicks = options.clicks !== false;
+
+		// 🖑option multiClickTime: Number = 500
+		// Maximum time, in milliseconds, between two consecutive presses for
+		// them to count as a multiple click.
+		this._multiClickTime = 'multiClickTime' in options ? options.multiClickTime : 500;
+
+		// 🖑option multiClickDistance: Number = 5
+		// Maximum distance, in pixels, between two consecutive presses for
+		// them to count as a multiple click.
+		this._multiClickDistance = 'multiClickDistance' in options ? options.multiClickDistance : 5;
+
+		// Number of consecutive clicks so far, and time and place of the last press
+		this._clickCount = 0;
+		this._lastPress = undefined;
+
+		// The elements each button was pressed on, for checking whether a click happened
+		this._pressTargets = {};
+
+		// 🖑section Compatibility events
+		// Browsers on touch devices fire other events along with `TouchEvent`s,
+		// so that pages made for mice (or for pointers) keep working. These
+		// options only apply to `touch` fingers.
+		// 🖑option mouseEvents: Boolean = false
+		// When `true`, a tap fires `mousemove`, `mousedown`, `mouseup` and `click`
+		// (plus `mouseover` and friends) right after the `touchend`, as mobile
+		// browsers do. Touches which are too long or move too far are not taps,
+		// and `preventDefault()`ing the `touchstart` or `touchend` suppresses
+		// these events. `preventDefault()`ing the `pointerdown` only suppresses
+		// `mousemove`, `mousedown` and `mouseup`. When `false`, a tap fires just a `click`.
+		this._compatMouseEvents = !!options.mouseEvents;
+
+		// 🖑option pointerEvents: Boolean = false
+		// When `true`, touches also fire `PointerEvent`s (with a `pointerType`
+		// of `'touch'`) just before their `TouchEvent`s, as browsers supporting
+		// both do.
+		this._compatPointerEvents = !!options.pointerEvents;
+		if (this._mode === 'touch') {
+			this._state.pointerType = this._finalState.pointerType = 'touch';
+		}
+
+		// 🖑option tapSlop: Number = 15
+		// Maximum distance, in pixels, that a touch can move for it to count as a tap.
+		this._tapSlop = 'tapSlop' in options ? options.tapSlop : 15;
+
+		// 🖑option tapTimeout: Number = 500
+		// Maximum time, in milliseconds, that a touch can last for it to count
+		// as a tap. Longer ones are long presses.
+		this._tapTimeout = 'tapTimeout' in options ? options.tapTimeout : 500;
+
+		// The current touch, as `{x, y, start, end, moved, prevented, pointerPrevented}`, while
+		// it might still be a tap
+		this._tap = undefined;
+
+		// The element which last received a compatibility `mouseover`, if any
+		this._mouseHoverTarget = undefined;
+
+		// Elements can capture the pointers of fingers which fire `PointerEvent`s
+		if (this._mode === 'pointer' || (this._mode === 'touch' && this._compatPointerEvents)) {
+			addPointer(this);
+		}
+
+		// 🖑section High-frequency input
+		// Devices like pens report their position much more often than pages
+		// get `pointermove`s. These options only apply to `pointer` fingers.
+		// 🖑option sampleRate: Number = 0
+		// How many times per second the device reports the state of the finger.
+		// When set, movements are sampled at this rate between dispatches: every
+		// sample fires a `pointerrawupdate`, and every `pointermove` carries the
+		// samples since the previous one as its [coalesced events](https://developer.mozilla.org/docs/Web/API/PointerEvent/getCoalescedEvents).
+		this._sampleInterval = this._mode === 'pointer' && options.sampleRate ? 1000 / options.sampleRate : 0;
+
+		// 🖑option predictedEvents: Number = 0
+		// How many [predicted events](https://developer.mozilla.org/docs/Web/API/PointerEvent/getPredictedEvents)
+		// every `pointermove` carries, one sample apart from each other. They
+		// are extrapolated linearly from the last two samples. Needs a `sampleRate`.
+		this._predictedEvents = options.predictedEvents || 0;
+
+		// Time of the last sample, and the samples for the next `pointermove`,
+		// as `{time, state}`
+		this._lastSampleTime = this._hand.now();
+		this._samples = [];
+	}
+
+
+	// 🖑miniclass Jitter options (Finger)
+	// 🖑option amplitude: Number = 2
+	// Maximum displacement of the finger, in pixels, in each axis.
+	// 🖑option frequency: Number = 10
+	// How fast the finger shakes, in Hz (i.e. random displacements per second).
+	// Displacements are smoothly interpolated.
+	// 🖑option pressure: Number = 0
+	// Maximum variation of the pressure (which stays between `0` and `1`).
+	// 🖑option seed: Number = *
+	// A 32-bit integer seeding the pseudo-random noise. A random one is picked
+	// if not given; see `getJitterSeed()`.
+
+	// 🖑class Finger
+	_initJitter(options) {
+		var seed = options.seed === undefined ? randomSeed() : options.seed >>> 0;
+
+		// Each of x, y and pressure get their own noise, derived from the same seed
+		var random = prng(seed);
+		var channel = () => valueNoise(Math.floor(random() * 4294967296));
+
+		this._jitter = {
+			amplitude: 'amplitude' in options ? options.amplitude : 2,
+			frequency: 'frequency' in options ? options.frequency : 10,
+			pressure: options.pressure || 0,
+			seed: seed,
+			noiseX: channel(),
+			noiseY: channel(),
+			noisePressure: channel(),
+			epoch: this._hand.now()
+		};
+	}
+
+
+	// 🖑method getJitterSeed(): Number
+	// Returns the seed for this finger's jitter (`undefined` if this finger has
+	// no jitter). Log it in a failing test, and pass it back as the `seed`
+	// jitter option to replay the very same noise.
+	getJitterSeed() {
+		return this._jitter ? this._jitter.seed : undefined;
+	}
+
+
+	// Adds the jitter for the given timestamp to the state. The previously
+	// applied jitter must have been removed with `_removeJitter()`.
+	_applyJitter(timestamp) {
+		this._jitterOffset = this._getJitterOffset(timestamp, this._state);
+		this._state.x += this._jitterOffset.x;
+		this._state.y += this._jitterOffset.y;
+		this._state.pressure += this._jitterOffset.pressure;
+	}
+
+
+	// Returns the jitter for the given timestamp, as offsets to the given
+	// (jitter-free) state: `{x, y, pressure}`.
+	_getJitterOffset(timestamp, state) {
+		var jitter = this._jitter;
+		var position = (timestamp - jitter.epoch) * jitter.frequency / 1000;
+
+		var x = Math.round(jitter.noiseX(position) * jitter.amplitude);
+		var y = Math.round(jitter.noiseY(position) * jitter.amplitude);
+		var pressure = state.pressure + jitter.noisePressure(position) * jitter.pressure;
+		pressure = Math.min(Math.max(pressure, 0), 1);
+
+		return {
+			x: x,
+			y: y,
+			pressure: pressure - state.pressure
+		};
+	}
+
+
+	// Takes out the last applied jitter from the state.
+	_removeJitter() {
+		this._state.x -= this._jitterOffset.x;
+		this._state.y -= this._jitterOffset.y;
+		this._state.pressure -= this._jitterOffset.pressure;
+		this._jitterOffset = { x: 0, y: 0, pressure: 0 };
+	}
+
+
+	// 🖑method getId(): Number
+	// Returns the id of this finger, which is the `pointerId` of its
+	// `PointerEvent`s and the `identifier` of its `Touch`es.
+	getId() {
+		return this._id;
 	}
 
 
@@ -142,42 +421,112 @@ export default class Finger {
 	}
 
 
-	// 🖑method down(delay?: Number): this
-	// Puts the finger down, optionally after a delay.
-	down(delay) {
-		return this.update({ down: true, getState: this._falseFn, duration: delay || 0 });
+	// 🖑method done(): Promise
+	// Returns a `Promise` which resolves (to this `Finger`) once all the movements
+	// queued so far for this finger have been dispatched.
+	done() {
+		this._assertNotDestroyed();
+		if (this.isIdle()) {
+			return Promise.resolve(this);
+		}
+		return new Promise((resolve, reject)=> {
+			this._doneCallbacks.push({ resolve: resolve, reject: reject });
+		});
+	}
+
+
+	// 🖑method down(delay?: Number, button?: String): this
+	// Puts the finger down, optionally after a delay. For `mouse` and `pointer`
+	// fingers, `button` can be one of `primary` (the default), `secondary`,
+	// `auxiliary`, `back` or `forward` (or a number, as in `MouseEvent.button`).
+	// Putting down a finger which is already down presses one more button.
+	down(delay, button) {
+		var buttons = this._finalState.buttons | buttonMasks[this._buttonIndex(button)];
+		this._queueMove({
+			finalState: { down: true, buttons: buttons },
+			getState: this._falseFn,
+			duration: delay || 0,
+			action: { action: 'down', delay: delay || 0, button: button }
+		});
+		return this;
+	}
+
+
+	// 🖑method up(delay?: Number, button?: String): this
+	// Lifts the finger up, after an optional delay. If a `button` is given, only
+	// that button is released; otherwise, all of them are.
+	up(delay, button) {
+		var buttons = 0;
+		if (button !== undefined && this._mode !== 'touch') {
+			buttons = this._finalState.buttons & ~buttonMasks[this._buttonIndex(button)];
+		}
+		this._queueMove({
+			finalState: { down: !!buttons, buttons: buttons },
+			getState: this._falseFn,
+			duration: delay || 0,
+			action: { action: 'up', delay: delay || 0, button: button }
+		});
+		return this;
 	}
 
 
-	// 🖑method up(options?: {}): this
-	// Lifts the finger up, after an optional delay.
-	up(delay) {
-		return this.update({ down: false, getState: this._falseFn, duration: delay || 0 });
+	// Returns the `MouseEvent.button` value for a button name (or number).
+	_buttonIndex(button) {
+		if (button === undefined) {
+			return 0;
+		}
+		var index = typeof button === 'number' ? button : buttonNames.indexOf(button);
+		if (!(index in buttonMasks)) {
+			throw new Error('Unknown mouse button: ' + button);
+		}
+		return index;
+	}
+
+
+	// Returns the bitmask of pressed buttons for a finger state.
+	_pressedButtons(state) {
+		return state.down ? (state.buttons || 1) : 0;
 	}
 
 
 	// 🖑method wait(delay): this
 	// Don't move this finger for `delay` milliseconds.
 	wait(delay) {
-		this._queueMove({finalState: this._finalState, getState: this._falseFn, duration: delay});
+		this._queueMove({
+			finalState: {},
+			getState: this._falseFn,
+			duration: delay,
+			action: { action: 'wait', duration: delay }
+		});
 		return this;
 	}
 
 
 	// 🖑method waitUntil(timestamp): this
 	// Don't move this finger until the given timestamp is reached.
-	waitUntil(timestamp) {
+	waitUntil(timestamp, action) {
+		// Absolute timestamps make no sense in a script; `Hand.sync()` passes
+		// a sync point as `action` instead.
+		action = action || unexportable('waitUntil() depends on the current time');
+
 		if (this._movements.length) {
-			return this.wait( timestamp - this._movesUntil );
+			this._queueMove({
+				finalState: {},
+				getState: this._falseFn,
+				duration: timestamp - this._movesUntil,
+				action: action
+			});
 		} else {
+			this._assertNotDestroyed();
 			var move = {
-				finalState: this._finalState,
+				finalState: {},
 				getState: this._falseFn,
-				duration: timestamp - performance.now(),
+				duration: timestamp - this._hand.now(),
 				until: timestamp
 			};
 			this._movesUntil = this._movesFrom = move.until;
 			this._movements.push(move);
+			this._actions.push(action);
 
 			this._hand.fingerIsBusy();
 		}
@@ -189,59 +538,445 @@ export default class Finger {
 	// Updates some of the finger options, like pressure or touch angle,
 	// without disturbing its movement, after an optional delay.
 	update(options, delay) {
-		this._queueMove({finalState: options, getState: this._falseFn, duration: delay || 0});
+		this._queueMove({
+			finalState: Object.assign({}, options),
+			getState: this._falseFn,
+			duration: delay || 0,
+			action: { action: 'update', state: Object.assign({}, options), delay: delay || 0 }
+		});
 		return this;
 	}
 
 
-	// 🖑method reset(options?: {}): this
-	// Clears all the queued movements for this finger and immediately lifts it up
+	// 🖑method reset(options?: Reset options): this
+	// Clears all the queued movements for this finger and immediately lifts it up.
+	// By default, a finger which was down is cancelled rather than lifted: touch
+	// fingers fire `touchcancel`, and pointer fingers fire `pointercancel`
+	// (plus `lostpointercapture`, for pointers other than mice). Mice cannot
+	// be cancelled, so mouse fingers fire `mouseup` but no `click`.
 	reset(options) {
+		options = options || {};
+
+		// Stop wherever the last dispatched frame left the finger
+		this._movements = [];
+		this._movesUntil = this._movesFrom = this._hand.now();
+		this._finalState = Object.assign({}, this._state, {
+			x: this._state.x - this._jitterOffset.x,
+			y: this._state.y - this._jitterOffset.y,
+			pressure: this._state.pressure - this._jitterOffset.pressure
+		});
+
+		this._queueMove({
+			finalState: { down: false, buttons: 0 },
+			getState: this._falseFn,
+			duration: 0,
+			cancel: options.cancel !== false,
+			action: unexportable('reset() discards the actions queued before it')
+		});
 		return this;
 	}
 
+	// 🖑miniclass Reset options (Finger)
+	// 🖑option cancel: Boolean = true
+	// When `false`, the finger is lifted as usual (firing `touchend`, `pointerup`
+	// or `mouseup`, and `click` if applicable) instead of being cancelled.
 
+	// 🖑class Finger
 
-	// 🖑method moveTo(x: Number, y: Number, delay: Number, options?: {}): this
+
+
+	// 🖑method moveTo(x: Number, y: Number, delay: Number, options?: Move options): this
 	// Queues moving this finger to an absolute position at `(x, y)`; the
-	// movement will last for `delay` milliseconds.
-	moveTo(x, y, delay) {
-		return this.moveBy(x - this._finalState.x, y - this._finalState.y, delay);
+	// movement will last for `delay` milliseconds. The coordinates are relative
+	// to the viewport, unless the `space` option says otherwise.
+	// 🖑alternative
+	// 🖑method moveTo(target: HTMLElement|String, options?: Move options, delay?: Number): this
+	// Queues moving this finger to an element (or to the first element matching
+	// a CSS selector), at the point given by the `anchor` and `offset` options.
+	// The element is looked up, and its bounding box measured, when the
+	// movement starts.
+	moveTo(x, y, delay, options) {
+		if (typeof x === 'string' || (x && x.getBoundingClientRect)) {
+			var target = Object.assign({ action: 'move', target: x, duration: delay || 0 }, y);
+			if (typeof x !== 'string') {
+				target = unexportable('moving to an element (rather than to a selector)');
+			}
+			return this._queueLine(this._getAnchorPoint(x, y), delay, y, target);
+		}
+
+		var space = options && options.space;
+		var action = { action: 'move', x: x, y: y, duration: delay };
+		if (space && space !== 'client') {
+			action = typeof space === 'string' ?
+				Object.assign(action, { space: space }) :
+				unexportable('its space is an element');
+		}
+
+		var toClient = this._getSpace(options);
+		return this._queueLine( () => toClient(x, y), delay, options, action);
 	}
 
 
-	// 🖑method moveBy(x: Number, y: Number, delay: Number, options?: {}): this
+	// 🖑method dragTo(source: HTMLElement|String, destination: HTMLElement|String, delay?: Number, options?: Move options): this
+	// Convenience method to drag an element onto another: moves the finger
+	// instantly to `source`, puts it down, moves it to `destination` during
+	// `delay` milliseconds (500 by default), and lifts it. Both ends use the
+	// `anchor` and `offset` options.
+	dragTo(source, destination, delay, options) {
+		if (delay === undefined) {
+			delay = 500;
+		}
+		return this.moveTo(source, options, 0)
+			.down()
+			.moveTo(destination, options, delay)
+			.up();
+	}
+
+
+	// 🖑method moveBy(x: Number, y: Number, delay: Number, options?: Move options): this
 	// Queues a move of this finger to an position relative to its last position
 	// plus`(x, y)`; the movement will last for `delay` milliseconds.
-	moveBy(x, y, delay) {
-		var fromX = this._finalState.x;
-		var fromY = this._finalState.y;
+	moveBy(x, y, delay, options) {
+		return this._queueLine( from => [from.x + x, from.y + y], delay, options, { action: 'move', dx: x, dy: y, duration: delay });
+	}
+
+
+	// Queues a straight movement, lasting for `delay` milliseconds, to the
+	// `[x, y]` client coordinates returned by `getDestination`. This is called
+	// with the state of the finger when the movement starts, so the destination
+	// can depend on the page scroll or the layout at that time. It is also
+	// called beforehand (with `true` as a second argument) to guess it.
+	// `action` describes the movement, for `Hand.toScript()`.
+	_queueLine(getDestination, delay, options, action) {
+
+		// 🖑miniclass Move options (Finger)
+		// 🖑option easing: String|Function = *
+		// The easing curve of the movement. Either a function (which takes the
+		// elapsed fraction of the duration and returns the travelled fraction of
+		// the distance, both between `0` and `1`), one of `linear`, `ease`,
+		// `ease-in`, `ease-out`, `ease-in-out`, or a string like
+		// `'cubic-bezier(0.1, 0.7, 1.0, 0.1)'`. Defaults to the hand's `easing` option.
+		var easing = this._getEasing(options);
+
+		// Best guess of the destination, until the movement actually starts
+		var guess = getDestination(this._finalState, true);
+
+		var move = {
+			finalState: { x: guess[0], y: guess[1] },
+
+			start: function(state) {
+				var fromX = state.x;
+				var fromY = state.y;
+				var to = getDestination(state);
+				var dx = to[0] - fromX;
+				var dy = to[1] - fromY;
+
+				move.finalState = { x: to[0], y: to[1] };
+				move.getState = function(msec) {
+					var percent = easing(msec / delay);
+					return {
+						x: Math.round(fromX + (dx * percent)),
+						y: Math.round(fromY + (dy * percent))
+					};
+				};
+			},
+
+			duration: delay,
+			action: this._describeMove(action, options)
+		};
+
+		this._queueMove(move);
+
+		return this;
+	}
+
+
+	// Returns the given description of a movement, adding the easing from its
+	// options. Easing functions cannot be exported, though.
+	_describeMove(action, options) {
+		var easing = options && options.easing;
+		if (typeof easing === 'function') {
+			return unexportable('its easing is a function');
+		}
+		if (easing && !action.unexportable) {
+			action.easing = easing;
+		}
+		return action;
+	}
+
+
+	// Returns a function which returns the `[x, y]` coordinates of the anchor
+	// point of an element (or the first element matching a selector).
+	_getAnchorPoint(target, options) {
+		options = options || {};
+
+		// 🖑option anchor: String|Number[] = 'center'
+		// When moving to an element, the point of its bounding box to move to.
+		// Either one of `center`, `top`, `bottom`, `left`, `right`, `top-left`,
+		// `top-right`, `bottom-left` and `bottom-right`, or an array with the
+		// horizontal and vertical fractions of the box, e.g. `[0.25, 0.5]`.
+		var anchor = options.anchor || 'center';
+		if (!Array.isArray(anchor)) {
+			if (!(anchor in anchors)) {
+				throw new Error('Unknown anchor: ' + anchor);
+			}
+			anchor = anchors[anchor];
+		}
+
+		// 🖑option offset: Number[] = [0, 0]
+		// When moving to an element, an `[x, y]` displacement (in pixels)
+		// from its anchor point.
+		var offset = options.offset || [0, 0];
+
+		return (from, guessing)=> {
+			var element = typeof target === 'string' ? this._document.querySelector(target) : target;
+			if (!element) {
+				// The element might just not be there yet
+				if (guessing) {
+					return [from.x, from.y];
+				}
+				throw new Error('No element matches the selector: ' + target);
+			}
+			var rect = element.getBoundingClientRect();
+			return this._fromClient(
+				rect.left + rect.width * anchor[0] + offset[0],
+				rect.top + rect.height * anchor[1] + offset[1]
+			);
+		};
+	}
+
+
+	// Returns a function which converts coordinates in the space given by the
+	// `space` move option into the coordinates of the finger, as `[x, y]`.
+	_getSpace(options) {
+
+		// 🖑option space: String|HTMLElement = 'client'
+		// The coordinate space of `moveTo()`: either `client` (relative to the
+		// viewport), `page` (relative to the document, so the page scroll is
+		// taken into account) or an element (relative to the top-left corner of
+		// its bounding box). The conversion happens when the movement starts,
+		// so it takes into account any scrolling or layout changes until then.
+		var space = (options && options.space) || 'client';
+
+		var fromClient = point => this._fromClient(point[0], point[1]);
+		if (space === 'client') {
+			return (x, y) => [x, y];
+		} else if (space === 'page') {
+			return (x, y) => fromClient(pageToClient(this._window, x, y));
+		} else if (space && space.getBoundingClientRect) {
+			return (x, y) => fromClient(elementToClient(space, x, y));
+		}
+		throw new Error('Unknown coordinate space: ' + space);
+	}
+
+
+	// 🖑class Finger
+
+	// 🖑method moveAlong(path: Path, delay: Number, options?: Move options): this
+	// Queues a movement of this finger along a path (starting from its last
+	// position), lasting for `delay` milliseconds. The finger moves at a uniform
+	// speed along the whole path (unless an `easing` is given), no matter how
+	// the path is split in segments.
+	moveAlong(path, delay, options) {
+		// Parse the path straight away, to fail early on invalid paths
+		var points = flattenPath(path, [this._finalState.x, this._finalState.y]);
+		var start = points[0];
+		var end = points[points.length - 1];
+
+		// Paths starting with an SVG `M` command jump there first
+		if (start[0] !== this._finalState.x || start[1] !== this._finalState.y) {
+			this.moveTo(start[0], start[1], 0);
+		}
+
+		var easing = this._getEasing(options);
 
 		var move = {
 			finalState: {
-				x: fromX + x,
-				y: fromY + y,
+				x: Math.round(end[0]),
+				y: Math.round(end[1])
 			},
 
-			getState: (function(x1, y1, dx, dy){
-				return function(msec) {
-					var percent = msec / delay;
+			action: this._describeMove({ action: 'moveAlong', path: path, duration: delay }, options),
+
+			// Relative parts of the path (like arcs) depend on where the finger is
+			start: function(state) {
+				var points = flattenPath(path, [state.x, state.y]);
+				var last = points[points.length - 1];
+				var pointAt = walker(points);
+
+				move.finalState = { x: Math.round(last[0]), y: Math.round(last[1]) };
+				move.getState = function(msec) {
+					var point = pointAt(easing(msec / delay));
 					return {
-						x: Math.round(x1 + (dx * percent)),
-						y: Math.round(y1 + (dy * percent))
-					}
-				}
-			})(fromX, fromY, x, y, delay),
+						x: Math.round(point[0]),
+						y: Math.round(point[1])
+					};
+				};
+			},
 
 			duration: delay
-// 			until: this._movesUntil + delay
-		}
+		};
 
 		this._queueMove(move);
 
 		return this;
 	}
 
+	/*
+	🖑miniclass Path (Finger)
+
+	A path for `moveAlong()` can be given in one of three forms:
+
+	* An array of `[x, y]` points, for a polyline: `[[100, 100], [200, 100], [200, 200]]`
+	* A string with [SVG path data](https://developer.mozilla.org/docs/Web/SVG/Attribute/d),
+	  like `'M 100 100 Q 200 100 200 200 A 50 50 0 0 1 300 200'`. All the commands
+	  are supported. If the path starts with a `M` (moveto) command, the finger jumps
+	  there instantly before starting the movement; any other `M` is walked as a straight line.
+	* An array of segment objects, each of them starting where the previous one ended:
+	  * `{ type: 'line', to: [x, y] }`
+	  * `{ type: 'quadratic', control: [x, y], to: [x, y] }`
+	  * `{ type: 'cubic', control1: [x, y], control2: [x, y], to: [x, y] }`
+	  * `{ type: 'arc', center: [x, y], angle: 90 }`, a circular arc around `center`,
+	    sweeping `angle` degrees (clockwise if positive)
+
+	🖑example
+
+	```js
+	finger.moveTo(100, 100, 0).down().moveAlong([
+		{ type: 'line', to: [200, 100] },
+		{ type: 'arc', center: [200, 150], angle: 180 },
+		{ type: 'cubic', control1: [150, 200], control2: [150, 300], to: [100, 300] }
+	], 2000).up();
+	```
+	*/
+
+	// 🖑class Finger
+
+	// 🖑method wheel(deltaX: Number, deltaY: Number, delay: Number, options?: Wheel options): this
+	// Queues scrolling with a mouse wheel or a trackpad, for a total of `deltaX`
+	// and `deltaY` (in the units given by the `deltaMode` option), during `delay`
+	// milliseconds. This fires `WheelEvent`s at the position of the finger, so
+	// it's only available to `mouse` and `pointer` fingers.
+	wheel(deltaX, deltaY, delay, options) {
+		if (this._mode === 'touch') {
+			throw new Error('Only mouse and pointer fingers can scroll with a wheel');
+		}
+		if (!capabilities.wheel) {
+			console.warn('This browser cannot emulate wheel events.');
+		}
+
+		options = options || {};
+
+		// 🖑miniclass Wheel options (Finger)
+		// 🖑option deltaMode: Number = 0
+		// The value for [`WheelEvent.deltaMode`](https://developer.mozilla.org/docs/Web/API/WheelEvent/deltaMode):
+		// `0` for pixels, `1` for lines or `2` for pages. The strings `'pixel'`,
+		// `'line'` and `'page'` are also accepted.
+		var deltaMode = ['pixel', 'line', 'page'].indexOf(options.deltaMode);
+		if (deltaMode === -1) {
+			deltaMode = options.deltaMode || 0;
+		}
+
+		// 🖑option device: String = 'mouse'
+		// Either `mouse`, for a wheel which scrolls in discrete notches evenly
+		// spread over time, or `trackpad`, for many small deltas which slow
+		// down as the scroll loses momentum.
+		var device = options.device || 'mouse';
+
+		// 🖑option notch: Number = *
+		// The amount scrolled by each notch of a `mouse` wheel. Defaults to
+		// 100 pixels, 3 lines or 1 page, depending on `deltaMode`.
+		var notch = options.notch || [100, 3, 1][deltaMode];
+
+		var fromX = this._finalState.wheelX;
+		var fromY = this._finalState.wheelY;
+		var getState;
+
+		if (device === 'trackpad') {
+			getState = function(msec) {
+				// Cubic ease-out: fast at first, then slowing down
+				var percent = 1 - Math.pow(1 - msec / delay, 3);
+				return {
+					wheelX: fromX + deltaX * percent,
+					wheelY: fromY + deltaY * percent,
+					deltaMode: deltaMode
+				};
+			};
+		} else {
+			var notches = Math.max(Math.ceil(Math.abs(deltaX) / notch), Math.ceil(Math.abs(deltaY) / notch));
+			var scrolled = function(delta, count) {
+				return delta < 0 ? -Math.min(count * notch, -delta) : Math.min(count * notch, delta);
+			};
+			getState = function(msec) {
+				var count = Math.floor(msec / delay * notches);
+				return {
+					wheelX: fromX + scrolled(deltaX, count),
+					wheelY: fromY + scrolled(deltaY, count),
+					deltaMode: deltaMode
+				};
+			};
+		}
+
+		this._queueMove({
+			finalState: {
+				wheelX: fromX + deltaX,
+				wheelY: fromY + deltaY,
+				deltaMode: deltaMode
+			},
+			getState: getState,
+			duration: delay,
+			action: Object.assign({ action: 'wheel', deltaX: deltaX, deltaY: deltaY, duration: delay }, options)
+		});
+
+		return this;
+	}
+
+	// 🖑class Finger
+
+	// Returns the easing function for a movement, given its options.
+	_getEasing(options) {
+		return getEasing(options && options.easing || this._hand._easing);
+	}
+
+
+	// Called by the hand once the events for the last queued movement have been
+	// dispatched.
+	_resolveDone() {
+		var callbacks = this._doneCallbacks;
+		this._doneCallbacks = [];
+		callbacks.forEach( c => c.resolve(this) );
+	}
+
+
+	// Called by the hand when removing this finger, before cancelling it:
+	// rejects the pending `done()` promises.
+	_rejectDone() {
+		var callbacks = this._doneCallbacks;
+		this._doneCallbacks = [];
+		callbacks.forEach( c => c.reject(new Error('The finger has been removed from its hand')) );
+	}
+
+
+	// Called by the hand when removing this finger: drops any queued movements,
+	// removes the graphic and rejects the pending `done()` promises. The finger
+	// is unusable afterwards.
+	_destroy() {
+		this._movements = [];
+		this._render('destroy');
+		this._rejectDone();
+
+		removePointer(this);
+		this._destroyed = true;
+	}
+
+
+	// Throws an error if the finger has been removed from its hand.
+	_assertNotDestroyed() {
+		if (this._destroyed) {
+			throw new Error('The finger has been removed from its hand and cannot be used anymore');
+		}
+	}
+
 
 	// An aux function that always returns false
 	_falseFn() {
@@ -251,15 +986,18 @@ export default class Finger {
 
 	// Queues a movement
 	_queueMove( move ) {
+		this._assertNotDestroyed();
+
+		this._actions.push(move.action || unexportable('it is part of a gesture'));
 
 		if (!this._movements.length) {
-			this._movesUntil = this._movesFrom = performance.now();
+			this._movesUntil = this._movesFrom = this._hand.now();
 		}
 
 		move.until = this._movesUntil + move.duration;
 		this._movements.push(move);
 
-		this._finalState = move.finalState = Object.assign({}, this._finalState, move.finalState);
+		this._finalState = Object.assign({}, this._finalState, move.finalState);
 
 		this._movesUntil = move.until;
 
@@ -269,6 +1007,15 @@ export default class Finger {
 	}
 
 
+	// Calls the `start()` function of a movement, the first time it runs.
+	_startMove(move) {
+		if (move.start && !move.started) {
+			move.started = true;
+			move.start(this._state);
+		}
+	}
+
+
 	// Returns the timestamp when the next movement will be finished
 	// 🖑method getNextMoveEndTime(): Number|undefined
 	getNextMoveEndTime() {
@@ -283,7 +1030,7 @@ export default class Finger {
 	 * 🖑method getEvents(timestamp?: Number, justOne: Boolean): []
 	 * Updates the private properties of the finger (x, y, timestamp) by
 	 * running the next movement(s) as far as indicated by the timestamp (or
-	 * as fas as to `performance.now()`), then checks if the state has changed
+	 * as fas as to the hand's current time), then checks if the state has changed
 	 * and means an event should be fired.
 	 *
 	 * If `justOne` is set to truthy, then this will run just one movements.
@@ -292,7 +1039,8 @@ export default class Finger {
 	 * Returns an array of objects of the form `{type: 'foo', event: MouseEvent(...), finger: Finger}`
 	 * or `{type: 'foo', touch: Touch(...), finger: Finger}`, with all the active `Touch`es or
 	 * all triggered mouse/pointer events triggered by executing moves until
-	 * `timestamp`.
+	 * `timestamp`. Events which must be fired at a specific element (like
+	 * `mouseout`) also have a `target` property.
 	 *
 	 * If the finger doesn't matter when `getEvents()` is called, then an empty
 	 * array is return instead. This happens for mice not moving, and fingers
@@ -304,20 +1052,33 @@ export default class Finger {
 	 * into `TouchEvent`s, and firing the events via `dispatchEvent()`.
 	*/
 	getEvents(timestamp, justOne) {
-		var now = timestamp || performance.now();
+		var now = timestamp || this._hand.now();
 		var changed = false;
+		var cancelled = false;
 		var previousState = Object.assign({}, this._state);
+
+		// Movements work on the state without the jitter
+		this._removeJitter();
+
+		// High-frequency samples of the ongoing movement, before it moves on
+		if (this._sampleInterval) {
+			this._samples = this._takeSamples(now);
+		}
+
 		// Process all moves that already happened (since last frame)
 		while (this._movements.length && this._movements[0].until <= now && !(changed && justOne)) {
 			var done = this._movements.shift();
+			this._startMove(done);
 			Object.assign(this._state, done.finalState);
 			this._movesFrom = done.until;
 			changed = true;
+			cancelled = cancelled || !!done.cancel;
 		}
 
 		// Process ongoing movement
 		if (this._movements.length && !(changed && justOne)) {
 			var move = this._movements[0];
+			this._startMove(move);
 
 			var updatedState = move.getState( now - this._movesFrom );
 
@@ -332,7 +1093,17 @@ export default class Finger {
 			this._hand.fingerIsIdle();
 		}
 
-// 		// TODO: Add jitter if needed
+		if (this._jitter) {
+			this._applyJitter(now);
+			if (!this._statesAreEqual(previousState, this._state)) {
+				changed = true;
+			}
+		}
+
+		// The current state is the last sample
+		if (this._sampleInterval) {
+			this._samples.push({ time: now, state: Object.assign({}, this._state) });
+		}
 
 		var evType = 'idle';
 
@@ -340,62 +1111,114 @@ export default class Finger {
 
 			if (previousState.x !== this._state.x || previousState.y !== this._state.y) {
 				evType = 'move'
-				this._currentTarget = document.elementFromPoint(this._state.x, this._state.y);
+				this._currentTarget = this._hitTest(this._state.x, this._state.y);
 			}
-			/// TODO: Detect over/out events when the event target changes.
 
 			if (previousState.down && (!this._state.down)) {
-				this._graphic.style.display = 'none';
-				evType = 'up';
+				this._render('up');
+				evType = cancelled ? 'cancel' : 'up';
 			} else if ((!previousState.down) && this._state.down){
 				// TODO: Optionally reset the finger ID and grab a fresh one
 
-				this._graphic.style.display = 'block';
-				this._touchTargetWhenDowned = this._currentTarget = document.elementFromPoint(this._state.x, this._state.y);
+				this._render('down');
+				this._touchTargetWhenDowned = this._currentTarget = this._hitTest(this._state.x, this._state.y);
 				evType = 'down';
 			}
 
-			this._setGraphicPosition(this._state.x, this._state.y);
+			this._render('move');
 		}
 
 
-		// `MouseEvent`s
+		var events;
+
+		// Buttons pressed or released since last time?
+		var previousButtons = this._pressedButtons(previousState);
+		var buttons = this._pressedButtons(this._state);
+		var buttonChanges = [];
+		buttonMasks.forEach( (mask, button)=> {
+			if ((previousButtons & mask) !== (buttons & mask)) {
+				var pressed = !!(buttons & mask);
+				buttonChanges.push({ button: button, pressed: pressed });
+				if (pressed) {
+					this._press(button, now);
+				}
+			}
+		});
+
+		// Scrolled with the wheel since last time?
+		var wheelEvents = [];
+		var wheelX = this._state.wheelX - previousState.wheelX;
+		var wheelY = this._state.wheelY - previousState.wheelY;
+		if (wheelX || wheelY) {
+			wheelEvents.push({
+				type: 'wheel',
+				event: this._asWheelEvent(wheelX, wheelY),
+				target: this._hitTest(this._state.x, this._state.y),
+				finger: this
+			});
+		}
+
+		// `MouseEvent`s: one `mousedown`/`mouseup` per button
 		if (this._mode === 'mouse' || this._mode === 'touchpad') {
-			if (evType === 'idle') {
-				return [];
+			if (evType === 'idle' && !buttonChanges.length) {
+				return wheelEvents;
+			}
+			events = this._boundaryEvents(evType);
+			if (evType === 'move') {
+				events.push({ type: 'move', event: this._asMouseEvent('mousemove'), finger: this });
 			}
-			/// TODO: Check for mouseover/mouseout events, add them to the
-			/// array.
-			/// TODO: Create synthetic `click` and `dblclick` events if/when
-			/// needed, add them to the array.
-			return [{ type: evType, event: this._asMouseEvent(evType), finger: this }];
+			buttonChanges.forEach( change => {
+				var type = change.pressed ? 'down' : 'up';
+				events.push({ type: type, event: this._asMouseEvent('mouse' + type, null, change.button), finger: this });
+				if (change.pressed) {
+					events = events.concat(this._contextMenuEvents(change.button));
+				} else if (evType !== 'cancel') {
+					events = events.concat(this._clickEvents(change.button));
+				}
+			});
+			return events.concat(wheelEvents);
 		}
 
 		// `PointerEvent`s
 		if (this._mode === 'pointer') {
-			if (evType === 'idle') {
-				return [];
+			if (evType === 'idle' && !buttonChanges.length) {
+				return wheelEvents;
 			}
-			/// TODO: Check for pointerover/pointerout events, add them to the
-			/// array.
-			/// TODO: Create synthetic `click` and `dblclick` events if/when
-			/// needed, add them to the array.
-			return [{ type: evType, event: this._asPointerEvent(evType), finger: this }];
+			events = this._pointerEvents(evType, buttonChanges, previousButtons, buttons);
+			if (evType !== 'cancel') {
+				buttonChanges.forEach( change => {
+					if (!change.pressed) {
+						events = events.concat(this._clickEvents(change.button));
+					}
+				});
+			}
+			return events.concat(wheelEvents);
 		}
 
-		// `Touch`es
+		// `Touch`es, preceded by their `PointerEvent`s if needed
 		if (this._mode === 'touch') {
-			if (this._touchTargetWhenDowned) {
+			events = [];
+			if (this._compatPointerEvents && (evType !== 'idle' || buttonChanges.length)) {
+				// Cancelled pointers forget their target, but the touch needs it
+				var touchTarget = this._touchTargetWhenDowned;
+				events = this._pointerEvents(evType, buttonChanges, previousButtons, buttons);
+				this._touchTargetWhenDowned = touchTarget;
+			}
 
-				var ret = [{ type: evType, touch: this._asTouch(evType), finger: this }];
+			if (this._touchTargetWhenDowned) {
+				events.push({ type: evType, touch: this._asTouch(evType), finger: this });
+				this._trackTap(evType, now);
 				if (evType === 'up') {
 					this._touchTargetWhenDowned = undefined;
+					// Taps (and so their `click` and compatibility mouse events) depend
+					// on whether the `TouchEvent`s get `preventDefault()`ed, so the
+					// hand asks for their events later.
+					events.push({ type: 'tap', finger: this });
+				} else if (evType === 'cancel') {
+					this._touchTargetWhenDowned = undefined;
 				}
-
-				return ret;
-			} else {
-				return [];
 			}
+			return events;
 		}
 
 		return [];
@@ -403,22 +1226,441 @@ export default class Finger {
 
 
 
+	// Returns the `PointerEvent` records for the given kind of change:
+	// `pointerdown` for the first pressed button, `pointerup` for the last
+	// released one, and `pointermove` for anything in between. Clicks are
+	// left to the caller. Touch pointers only fire events while touching.
+	// While the pointer is captured, its events go to the capturing element.
+	_pointerEvents(evType, buttonChanges, previousButtons, buttons) {
+		// Touch pointers cannot hover: while lifted, there is no pointer at all
+		if (this._state.pointerType === 'touch' && !this._state.down && evType !== 'up' && evType !== 'cancel') {
+			return [];
+		}
+
+		// Raw updates go out as soon as the device reports them, before anything
+		// else, so that the timestamps of the events never go backwards
+		var events = [];
+		if (evType !== 'cancel' && !buttonChanges.length) {
+			events = this._rawUpdateEvents();
+		}
+
+		// Capture changes requested since the last pointer event take effect
+		// now, and retarget this one
+		var captureEvents = this._captureEvents();
+		if (captureEvents.length) {
+			this._currentTarget = this._hitTest(this._state.x, this._state.y);
+		}
+
+		events = events.concat(captureEvents, this._boundaryEvents(evType));
+		if (evType === 'cancel') {
+			return events.concat(this._pointerCancelEvents());
+		}
+		if (!buttonChanges.length) {
+			events = events.concat(this._pointerMoveEvents());
+		}
+		var released = false;
+		buttonChanges.forEach( (change, i)=> {
+			var type = 'move';
+			if (change.pressed && !previousButtons && i === 0) {
+				type = 'down';
+			} else if (!change.pressed && !buttons && i === buttonChanges.length - 1) {
+				type = 'up';
+				released = true;
+			}
+			events.push({ type: type, event: this._asPointerEvent('pointer' + type, null, change.button), target: getCaptureTarget(this._id), finger: this });
+
+			// Touch pointers are implicitly captured by the element they go down on
+			if (type === 'down' && this._state.pointerType === 'touch') {
+				setPendingCapture(this._id, this._currentTarget);
+			}
+			if (change.pressed) {
+				events = events.concat(this._contextMenuEvents(change.button));
+			}
+		});
+
+		// The capture is implicitly released right after `pointerup`
+		if (released) {
+			clearPendingCapture(this._id);
+			events = events.concat(this._captureEvents());
+		}
+
+		// Touch pointers cannot hover, they leave as soon as they are lifted.
+		if (evType === 'up' && this._state.pointerType === 'touch') {
+			events = events.concat(this._boundaryEventsTo(undefined));
+		}
+		return events;
+	}
+
+
+	// Returns the `pointermove` record. When sampling at a `sampleRate`, its
+	// event carries the samples as coalesced events, plus the predicted events.
+	_pointerMoveEvents() {
+		var move = { type: 'move', event: this._asPointerEvent('pointermove'), target: getCaptureTarget(this._id), finger: this };
+		if (!this._sampleInterval) {
+			return [move];
+		}
+
+		var samples = this._samples;
+		var coalesced = samples.map( sample => this._asSampleEvent('pointermove', sample) );
+		var predicted = this._predictSamples(samples).map( sample => this._asSampleEvent('pointermove', sample) );
+		move.event.getCoalescedEvents = () => coalesced.slice();
+		move.event.getPredictedEvents = () => predicted.slice();
+		return [move];
+	}
+
+
+	// Returns a `pointerrawupdate` record per sample, when sampling at a `sampleRate`.
+	_rawUpdateEvents() {
+		if (!this._sampleInterval) {
+			return [];
+		}
+		var target = getCaptureTarget(this._id);
+		return this._samples.map( sample => ({
+			type: 'rawupdate',
+			event: this._asSampleEvent('pointerrawupdate', sample),
+			target: target,
+			timestamp: sample.time,
+			finger: this
+		}));
+	}
+
+
+	// Returns the states of the finger at the sample rate of its device, as
+	// `{time, state}`, since the last sample and before the given timestamp.
+	// Only the ongoing movement is sampled, as the events of movements which
+	// end in between are never coalesced; and samples where nothing changed
+	// are skipped, as devices don't report them.
+	_takeSamples(now) {
+		var samples = [];
+		var move = this._movements[0];
+		var previous = this._state;
+		var time = Math.max(this._lastSampleTime, this._movesFrom) + this._sampleInterval;
+		this._lastSampleTime = now;
+
+		for (; move && time < now && time < move.until; time += this._sampleInterval) {
+			this._startMove(move);
+			var state = Object.assign({}, this._state, move.getState(time - this._movesFrom));
+			if (this._jitter) {
+				var offset = this._getJitterOffset(time, state);
+				state.x += offset.x;
+				state.y += offset.y;
+				state.pressure += offset.pressure;
+			}
+			if (!this._statesAreEqual(state, previous)) {
+				samples.push({ time: time, state: state });
+				previous = state;
+			}
+		}
+		return samples;
+	}
+
+
+	// Returns the samples for the `predictedEvents`, extrapolating linearly
+	// from the last two of the given samples.
+	_predictSamples(samples) {
+		var predicted = [];
+		if (samples.length < 2) {
+			return predicted;
+		}
+		var last = samples[samples.length - 1];
+		var previous = samples[samples.length - 2];
+		var speedX = (last.state.x - previous.state.x) / (last.time - previous.time);
+		var speedY = (last.state.y - previous.state.y) / (last.time - previous.time);
+
+		for (var i = 1; i <= this._predictedEvents; i++) {
+			var elapsed = i * this._sampleInterval;
+			predicted.push({
+				time: last.time + elapsed,
+				state: Object.assign({}, last.state, {
+					x: last.state.x + speedX * elapsed,
+					y: last.state.y + speedY * elapsed
+				})
+			});
+		}
+		return predicted;
+	}
+
+
+	// Returns a `PointerEvent` of the given type for the given sample, with
+	// the time of the sample as its `timeStamp`.
+	_asSampleEvent(type, sample) {
+		var state = this._state;
+		this._state = sample.state;
+		var ev = this._asPointerEvent(type);
+		this._state = state;
+		Object.defineProperty(ev, 'timeStamp', { value: sample.time });
+		return ev;
+	}
+
+
+	// Keeps track of whether the current touch is still a tap, given the kind
+	// of change of the finger.
+	_trackTap(evType, timestamp) {
+		if (evType === 'down') {
+			this._tap = { x: this._state.x, y: this._state.y, start: timestamp, moved: false, prevented: false, pointerPrevented: false };
+		} else if (evType === 'cancel') {
+			this._tap = undefined;
+		} else if (this._tap) {
+			var dx = this._state.x - this._tap.x;
+			var dy = this._state.y - this._tap.y;
+			this._tap.moved = this._tap.moved || Math.sqrt(dx * dx + dy * dy) > this._tapSlop;
+			this._tap.end = timestamp;
+		}
+	}
+
+
+	// Called by the hand when one of the events of this finger has been
+	// `preventDefault()`ed.
+	_eventPrevented(type) {
+		if (!this._tap) {
+			return;
+		}
+		if (type === 'touchstart' || type === 'touchend') {
+			this._tap.prevented = true;
+		} else if (type === 'pointerdown') {
+			// As per the Pointer Events spec, this only prevents the `mousedown`,
+			// `mousemove` and `mouseup`; the `click` still happens.
+			this._tap.pointerPrevented = true;
+		}
+	}
+
+
+	// Returns the event records for the touch which has just ended, if it was
+	// a tap: a `click`, preceded by the compatibility mouse events if enabled
+	// (the mouse moves over the place of the tap, then presses and releases
+	// the primary button).
+	_tapEvents() {
+		var tap = this._tap;
+		this._tap = undefined;
+		if (!tap || tap.moved || tap.prevented || tap.end - tap.start > this._tapTimeout) {
+			delete this._pressTargets[0];
+			return [];
+		}
+
+		if (!this._compatMouseEvents) {
+			return this._clickEvents(0);
+		}
+
+		var events = this._boundaryEventsTo(this._currentTarget, true);
+		if (tap.pointerPrevented) {
+			return events.concat(this._clickEvents(0));
+		}
+		events.push({ type: 'move', event: this._asMouseEvent('mousemove'), finger: this });
+		events.push({ type: 'down', event: this._asMouseEvent('mousedown', null, 0, 1), finger: this });
+		events.push({ type: 'up', event: this._asMouseEvent('mouseup', null, 0), finger: this });
+		return events.concat(this._clickEvents(0));
+	}
+
+
+	// Returns the event records for a pointer finger being cancelled. The
+	// capturing element, if any, gets the `pointercancel` and then loses the
+	// capture. Afterwards, the pointer is gone, so it leaves whatever it was over.
+	_pointerCancelEvents() {
+		this._touchTargetWhenDowned = undefined;
+
+		var events = [{ type: 'cancel', event: this._asPointerEvent('pointercancel'), target: getCaptureTarget(this._id), finger: this }];
+		clearPendingCapture(this._id);
+		return events.concat(this._captureEvents(), this._boundaryEventsTo(undefined));
+	}
+
+
+	// Returns the `gotpointercapture`/`lostpointercapture` event records for
+	// the pending changes of the capture of this finger's pointer, if any.
+	_captureEvents() {
+		return processPendingCapture(this._id).map( change => ({
+			type: change.type,
+			event: this._asPointerEvent(change.type),
+			target: change.target,
+			finger: this
+		}));
+	}
+
+
+	// Called when a button is pressed: keeps the element it was pressed on, and
+	// updates the count of consecutive clicks.
+	_press(button, timestamp) {
+		this._pressTargets[button] = this._currentTarget;
+
+		var last = this._lastPress;
+		if (last && last.button === button &&
+		    timestamp - last.time <= this._multiClickTime &&
+		    Math.abs(this._state.x - last.x) <= this._multiClickDistance &&
+		    Math.abs(this._state.y - last.y) <= this._multiClickDistance) {
+			this._clickCount++;
+		} else {
+			this._clickCount = 1;
+		}
+		this._lastPress = { button: button, time: timestamp, x: this._state.x, y: this._state.y };
+	}
+
+
+	// Returns the `click` (and `dblclick`, if needed) event records to be fired
+	// when a button is released; or `auxclick` for any button but the primary one.
+	// The click target is the innermost element containing both the element
+	// the button was pressed on and the one it was released on, even across
+	// shadow boundaries.
+	_clickEvents(button) {
+		var pressTarget = this._pressTargets[button];
+		delete this._pressTargets[button];
+
+		if (!this._clicks || !pressTarget || !this._currentTarget) {
+			return [];
+		}
+
+		var target = pressTarget;
+		while (target && !composedContains(target, this._currentTarget)) {
+			target = composedParent(target);
+		}
+		if (!target) {
+			return [];
+		}
+
+		if (button !== 0) {
+			return [{ type: 'auxclick', event: this._asMouseEvent('auxclick', null, button), target: target, finger: this }];
+		}
+
+		var records = [{ type: 'click', event: this._asMouseEvent('click'), target: target, finger: this }];
+		if (this._clickCount === 2) {
+			records.push({ type: 'dblclick', event: this._asMouseEvent('dblclick'), target: target, finger: this });
+		}
+		return records;
+	}
+
+
+	// Returns the `contextmenu` event record to be fired when a button is
+	// pressed, if it's the secondary one. Browsers on Windows fire it on release
+	// instead, but the others don't.
+	_contextMenuEvents(button) {
+		if (!this._clicks || button !== 2) {
+			return [];
+		}
+		return [{ type: 'contextmenu', event: this._asMouseEvent('contextmenu', null, button), target: this._currentTarget, finger: this }];
+	}
+
+
+	// Returns the deepest element at the given viewport coordinates, inside
+	// any shadow roots; or the element capturing the pointer of this finger,
+	// if any, as it gets all its events.
+	_hitTest(x, y) {
+		var client = this._toClient(x, y);
+		return getCaptureTarget(this._id) || elementFromPoint(this._document, client[0], client[1]);
+	}
+
+
+	// Returns the given finger coordinates as client coordinates of the window
+	// of the hand, as `[x, y]`. They are the same thing, unless the hand has
+	// the `parentCoordinates` option.
+	_toClient(x, y) {
+		if (!this._hand._parentCoordinates) {
+			return [x, y];
+		}
+		var offset = frameOffset(this._window);
+		return [x - offset[0], y - offset[1]];
+	}
+
+
+	// Returns the given client coordinates of the window of the hand as finger
+	// coordinates, as `[x, y]`. The opposite of `_toClient()`.
+	_fromClient(x, y) {
+		if (!this._hand._parentCoordinates) {
+			return [x, y];
+		}
+		var offset = frameOffset(this._window);
+		return [x + offset[0], y + offset[1]];
+	}
+
+
+	// Returns the boundary event records (over/out/enter/leave) to be fired
+	// before the given kind of mouse/pointer event, if the hit target changed.
+	_boundaryEvents(evType) {
+		if (evType !== 'move' && evType !== 'down') {
+			return [];
+		}
+
+		// Touch pointers only hover while touching the surface
+		if (this._mode !== 'mouse' && this._state.pointerType === 'touch' && !this._state.down) {
+			return [];
+		}
+
+		return this._boundaryEventsTo(this._currentTarget);
+	}
+
+
+	// Returns the boundary event records for moving from the current hover
+	// target to `target` (which might be `undefined`, when a touch pointer is
+	// lifted). Order is as per the UI Events spec: `out`, `leave`s from the
+	// innermost element outwards, `over`, `enter`s from the outermost element inwards.
+	// Touch fingers keep apart the hover targets of their `PointerEvent`s and
+	// of their compatibility `MouseEvent`s (when `mouse` is `true`).
+	_boundaryEventsTo(target, mouse) {
+		var hoverKey = mouse ? '_mouseHoverTarget' : '_hoverTarget';
+		var from = this[hoverKey];
+		if (from === target) {
+			return [];
+		}
+		this[hoverKey] = target;
+
+		var isPointer = !mouse && (this._mode === 'pointer' || this._mode === 'touch');
+		var records = [];
+		var record = (type, node, relatedTarget)=> {
+			records.push({
+				type: type,
+				event: isPointer ?
+					this._asPointerEvent('pointer' + type, relatedTarget) :
+					this._asMouseEvent('mouse' + type, relatedTarget),
+				target: node,
+				finger: this
+			});
+		};
+
+		if (from) {
+			record('out', from, target);
+			this._boundaryChain(from, target).forEach( node => record('leave', node, target) );
+		}
+
+		if (target) {
+			record('over', target, from);
+			this._boundaryChain(target, from).reverse().forEach( node => record('enter', node, from) );
+		}
+
+		return records;
+	}
+
+
+	// Returns `node` and its ancestor elements, from the inside out, up to (but
+	// excluding) the first one which contains `other`. Shadow hosts count as
+	// the ancestors of the elements in their shadow trees.
+	_boundaryChain(node, other) {
+		var chain = [];
+		while (node && !(other && composedContains(node, other))) {
+			if (node.nodeType === 1) {
+				chain.push(node);
+			}
+			node = composedParent(node);
+		}
+		return chain;
+	}
+
+
 	// 🖑method private_asTouch(): Touch
 	// Returns an instance of `Touch` representing the current state of the finger
 	// Note this is not an event - a `TouchEvent` must be created later, with several
 	// `Touch`es.
 	_asTouch() {
 		var touch;
+		var client = this._toClient(this._state.x, this._state.y);
+		var page = clientToPage(this._window, client[0], client[1]);
+		var screen = clientToScreen(this._window, client[0], client[1]);
 		if (capabilities.touchConstructor && !capabilities.safari) {
-			touch = new Touch({
+			touch = new this._window.Touch({
 				identifier: this._id,
 				target: this._touchTargetWhenDowned,
-				clientX: this._state.x,
-				clientY: this._state.y,
-				screenX: this._state.x,	/// TODO: Handle page scrolling
-				screenY: this._state.y,
-				pageX: this._state.x,
-				pageY: this._state.y,
+				clientX: client[0],
+				clientY: client[1],
+				screenX: screen[0],
+				screenY: screen[1],
+				pageX: page[0],
+				pageY: page[1],
 				radiusX: 25,
 				radiusY: 25,
 				rotationAngle: 0,
@@ -427,14 +1669,14 @@ export default class Finger {
 		} else {
 
 			if (capabilities.chrome) {
-				touch = document.createTouch(
-					window,	// view
+				touch = this._document.createTouch(
+					this._window,	// view
 					this._touchTargetWhenDowned,	// target
 					this._id,	// identifier
-					this._state.x,	// clientX
-					this._state.y,	// clientY
-					this._state.x,	// screenX
-					this._state.y,	// screenY
+					client[0],	// clientX
+					client[1],	// clientY
+					screen[0],	// screenX
+					screen[1],	// screenY
 
 					// Inconsistency: These break anything other than chrome:
 					25,	// radiusX
@@ -443,28 +1685,28 @@ export default class Finger {
 					this._state.pressure	// force
 				);
 			} else if (capabilities.gecko) {
-				touch = document.createTouch(
-					window,	// view
+				touch = this._document.createTouch(
+					this._window,	// view
 					this._touchTargetWhenDowned,	// target
 					this._id,	// identifier
-					this._state.x,	// clientX
-					this._state.y,	// clientY
-					this._state.x,	// screenX
-					this._state.y,	// screenY
+					client[0],	// clientX
+					client[1],	// clientY
+					screen[0],	// screenX
+					screen[1],	// screenY
 
 					// Inconsistency: these are needed in Firefox
-					this._state.x,	// pageX
-					this._state.y	// pageY
+					page[0],	// pageX
+					page[1]	// pageY
 				);
 			} else {
-				touch = document.createTouch(
-					window,	// view
+				touch = this._document.createTouch(
+					this._window,	// view
 					this._touchTargetWhenDowned,	// target
 					this._id,	// identifier
-					this._state.x,	// clientX
-					this._state.y,	// clientY
-					this._state.x,	// screenX
-					this._state.y	// screenY
+					client[0],	// clientX
+					client[1],	// clientY
+					screen[0],	// screenX
+					screen[1]	// screenY
 				);
 			}
 
@@ -472,23 +1714,37 @@ export default class Finger {
 		return touch;
 	}
 
-	// 🖑method private_asPointerEvent(): PointerEvent
-	// Returns an instance of `PointerEvent` representing the current state of the finger
-	_asPointerEvent(evType) {
+	// 🖑method private_asPointerEvent(type: String, relatedTarget?: Element, button?: Number): PointerEvent
+	// Returns an instance of `PointerEvent` representing the current state of the
+	// finger. `button` is the button which changed state, if any.
+	_asPointerEvent(type, relatedTarget, button) {
 		var ev;
+		var boundary = this._isBoundaryEventType(type);
+		var client = this._toClient(this._state.x, this._state.y);
+		var page = clientToPage(this._window, client[0], client[1]);
+		var screen = clientToScreen(this._window, client[0], client[1]);
+		if (button === undefined) {
+			button = -1;
+		}
 		if (capabilities.pointerEventConstructor) {
-			ev = new PointerEvent('pointer' + evType, {
-				bubbles: true,
-				button: 0,	// Moz doesn't use -1 when no buttons are pressed, WTF?
-// 				buttons: this._state.down ? 1 : 0,
-//	 			detail: (evType === 'down' || evType === 'up') ? 1 : 0,	// TODO: count consecutive clicks
-				clientX: this._state.x,
-				clientY: this._state.y,
-				screenX: this._state.x,	/// TODO: Handle page scrolling
-				screenY: this._state.y,
-				pageX: this._state.x,
-				pageY: this._state.y,
-				pointerType: 'pen',
+			ev = new this._window.PointerEvent(type, {
+				bubbles: !boundary,
+				cancelable: this._isCancelableEventType(type),
+				composed: this._isComposedEventType(type),
+				button: button,
+				buttons: this._pressedButtons(this._state),
+				clientX: client[0],
+				clientY: client[1],
+				screenX: screen[0],
+				screenY: screen[1],
+				pageX: page[0],
+				pageY: page[1],
+				ctrlKey: this._state.ctrlKey,
+				altKey: this._state.altKey,
+				shiftKey: this._state.shiftKey,
+				metaKey: this._state.metaKey,
+				relatedTarget: relatedTarget || null,
+				pointerType: this._state.pointerType,
 				pointerId: this._id,
 				isPrimary: this._id === 1,
 				width: this._state.width,
@@ -499,24 +1755,24 @@ export default class Finger {
 // 				target: document.elementFromPoint(this._state.x, this._state.y),	// works with viewport coords
 			});
 		} else {
-			ev = document.createEvent('MSPointerEvent');
+			ev = this._document.createEvent('MSPointerEvent');
 			// https://docs.microsoft.com/en-us/previous-versions/windows/internet-explorer/ie-developer/platform-apis/jj192039(v=vs.85)
 			ev.initPointerEvent(
-				'pointer' + evType,    // Type
-				true,                  // canBubble
-				true,                  // cancelable
-				window,                // view
+				type,                  // Type
+				!boundary,             // canBubble
+				this._isCancelableEventType(type), // cancelable
+				this._window,          // view
 				0,                     // detail
-				this._state.x,         // screenX
-				this._state.y,         // screenY
-				this._state.x,         // clientX
-				this._state.y,         // clientY
-				false,                 // ctrlKey
-				false,                 // altKey
-				false,                 // shiftKey
-				false,                 // metaKey
-				0,                     // button
-				null,                  // relatedTarget,
+				screen[0],             // screenX
+				screen[1],             // screenY
+				client[0],             // clientX
+				client[1],             // clientY
+				this._state.ctrlKey,   // ctrlKey
+				this._state.altKey,    // altKey
+				this._state.shiftKey,  // shiftKey
+				this._state.metaKey,   // metaKey
+				button,                // button
+				relatedTarget || null, // relatedTarget,
 				0,                     // offsetX?
 				0,                     // offsetY?
 				this._state.width,     // width
@@ -526,7 +1782,7 @@ export default class Finger {
 				this._state.tiltX,     // tiltX
 				this._state.tiltY,     // tiltY
 				this._id,              // pointerId
-				'pen',                 // pointerType
+				this._state.pointerType, // pointerType
 				0,                     // hwTimestamp?
 				this._id === 1         // isPrimary
 			);
@@ -534,99 +1790,158 @@ export default class Finger {
 		return ev;
 	}
 
-	// 🖑method private_asMouseEvent(evType: String): PointerEvent
-	// Returns an instance of `PointerEvent` representing the current state of the finger
-	_asMouseEvent(evType) {
+	// 🖑method private_asMouseEvent(type: String, relatedTarget?: Element, button?: Number, buttons?: Number): MouseEvent
+	// Returns an instance of `MouseEvent` representing the current state of the
+	// finger. `button` is the button which changed state, if any. `buttons`
+	// overrides the pressed buttons of the state.
+	_asMouseEvent(type, relatedTarget, button, buttons) {
 		var ev;
+		if (buttons === undefined) {
+			buttons = this._pressedButtons(this._state);
+		}
+		var boundary = this._isBoundaryEventType(type);
+		var client = this._toClient(this._state.x, this._state.y);
+		var page = clientToPage(this._window, client[0], client[1]);
+		var screen = clientToScreen(this._window, client[0], client[1]);
 		if (capabilities.mouseEventConstructor) {
-			ev = new MouseEvent('mouse' + evType, {
-				bubbles: true,
-				button:  0,	// Moz doesn't use -1 when no buttons are pressed, WTF?
-				buttons: this._state.down ? 1 : 0,
-				detail:  (evType === 'down' || evType === 'up') ? 1 : 0,	// TODO: count consecutive clicks
-				clientX: this._state.x,
-				clientY: this._state.y,
-				screenX: this._state.x,	/// TODO: Handle page scrolling
-				screenY: this._state.y,
-				pageX:   this._state.x,
-				pageY:   this._state.y,
+			ev = new this._window.MouseEvent(type, {
+				bubbles: !boundary,
+				cancelable: !boundary,
+				composed: this._isComposedEventType(type),
+				button:  button || 0,
+				buttons: buttons,
+				detail:  this._mouseEventDetail(type),
+				clientX: client[0],
+				clientY: client[1],
+				screenX: screen[0],
+				screenY: screen[1],
+				pageX:   page[0],
+				pageY:   page[1],
+				ctrlKey:  this._state.ctrlKey,
+				altKey:   this._state.altKey,
+				shiftKey: this._state.shiftKey,
+				metaKey:  this._state.metaKey,
+				relatedTarget: relatedTarget || null,
 	// 			target: document.elementFromPoint(this._state.x, this._state.y),	// works with viewport coords
 			});
 		} else {
 			// For legacy browsers and PhantomJS
-			ev = document.createEvent('MouseEvent');
+			ev = this._document.createEvent('MouseEvent');
 			ev.initMouseEvent(
-				'mouse' + evType,	// Type
+				type,	// Type
+				!boundary,	// canBubble
+				!boundary,	// cancellable
+				this._window,	// view
+				this._mouseEventDetail(type),	// detail
+				screen[0],	// screenX
+				screen[1],	// screenY
+				client[0],	// clientX
+				client[1],	// clientY
+				this._state.ctrlKey,	// ctrlKey
+				this._state.altKey,	// altKey
+				this._state.shiftKey,	// shiftKey
+				this._state.metaKey,	// metaKey
+				button || 0,	// button
+				relatedTarget || null	// relatedTarget
+			);
+		}
+		return ev;
+	}
+
+	// Returns an instance of `WheelEvent` representing the current state of the
+	// finger, scrolling by the given deltas.
+	_asWheelEvent(deltaX, deltaY) {
+		var ev;
+		var client = this._toClient(this._state.x, this._state.y);
+		var screen = clientToScreen(this._window, client[0], client[1]);
+		if (capabilities.wheelEventConstructor) {
+			ev = new this._window.WheelEvent('wheel', {
+				bubbles: true,
+				cancelable: true,
+				composed: true,
+				buttons: this._pressedButtons(this._state),
+				clientX: client[0],
+				clientY: client[1],
+				screenX: screen[0],
+				screenY: screen[1],
+				ctrlKey:  this._state.ctrlKey,
+				altKey:   this._state.altKey,
+				shiftKey: this._state.shiftKey,
+				metaKey:  this._state.metaKey,
+				deltaX: deltaX,
+				deltaY: deltaY,
+				deltaZ: 0,
+				deltaMode: this._state.deltaMode
+			});
+		} else {
+			// IE11
+			var modifiers = ['ctrlKey', 'altKey', 'shiftKey', 'metaKey'].filter( key => this._state[key] ).map(
+				key => ({ ctrlKey: 'Control', altKey: 'Alt', shiftKey: 'Shift', metaKey: 'Meta' })[key]
+			);
+
+			ev = this._document.createEvent('WheelEvent');
+			ev.initWheelEvent(
+				'wheel',	// type
 				true,	// canBubble
-				true,	// cancellable
-				window,	// view
+				true,	// cancelable
+				this._window,	// view
 				0,	// detail
-				this._state.x,	// screenX
-				this._state.y,	// screenY
-				this._state.x,	// clientX
-				this._state.y,	// clientY
-				false,	// ctrlKey
-				false,	// altKey
-				false,	// shiftKey
-				false,	// metaKey
+				screen[0],	// screenX
+				screen[1],	// screenY
+				client[0],	// clientX
+				client[1],	// clientY
 				0,	// button
-				null	// relatedTarget
+				null,	// relatedTarget
+				modifiers.join(' '),	// modifiersList
+				deltaX,	// deltaX
+				deltaY,	// deltaY
+				0,	// deltaZ
+				this._state.deltaMode	// deltaMode
 			);
 		}
 		return ev;
 	}
 
+	// The `detail` of a `MouseEvent` is the count of consecutive clicks for
+	// presses and clicks, and zero for anything else.
+	_mouseEventDetail(type) {
+		if (type === 'mousedown' || type === 'mouseup' || type === 'click' || type === 'dblclick' || type === 'auxclick') {
+			return this._clickCount;
+		}
+		return 0;
+	}
 
-	// Inits this._graphic to be a SVG circle.
-	_initGraphicCircle() {
-
-		this._graphic = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-		this._graphic.style.height     = '50px';
-		this._graphic.style.width      = '50px';
-		this._graphic.style.zIndex     = 1000000;	// Some ridiculously high value
-		this._graphic.style.position   = 'absolute';
-		this._graphic.style.top        = 0;
-		this._graphic.style.left       = 0;
-		this._graphic.style.marginLeft = '-25px';
-		this._graphic.style.marginTop  = '-25px';
-		this._graphic.style.pointerEvents = 'none';
-
-		var circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-		circle.cx.baseVal.value = 25;
-		circle.cy.baseVal.value = 25;
-		circle.r.baseVal.value = 20;
-		circle.style.stroke = 'rgba(0,0,0,0.3)';
-		circle.style.strokeWidth = 2;
-		circle.style.fill = 'rgba(0,0,0,0.1)';
+	// `mouseenter`/`mouseleave`/`pointerenter`/`pointerleave` neither bubble nor can be cancelled.
+	_isBoundaryEventType(type) {
+		return /(enter|leave)$/.test(type);
+	}
 
-		this._graphic.appendChild(circle);
 
-		this._graphic.style.display = 'none';
-		document.body.appendChild(this._graphic);
+	// Whether events of the given type can be cancelled: neither boundary events,
+	// nor those signalling the end of a pointer or of its capture, nor raw updates can.
+	_isCancelableEventType(type) {
+		return !this._isBoundaryEventType(type) && !/(cancel|pointercapture|rawupdate)$/.test(type);
 	}
 
-	// Inits this._graphic to be an image of Ivan's index finger
-	_initGraphicIvansFinger() {
-
-		this._graphic = document.createElement('img');
-		this._graphic.src = IvansFinger;
-		this._graphic.style.height     = '160px';
-		this._graphic.style.width      = '160px';
-		this._graphic.style.zIndex     = 1000000;	// Some ridiculously high value
-		this._graphic.style.position   = 'absolute';
-		this._graphic.style.top        = 0;
-		this._graphic.style.left       = 0;
-		this._graphic.style.marginLeft = '-20px';
-		this._graphic.style.marginTop  = '-20px';
-		this._graphic.style.pointerEvents = 'none';
 
-		this._graphic.style.display = 'none';
-		document.body.appendChild(this._graphic);
+	// Whether events of the given type cross shadow boundaries, so listeners
+	// outside a shadow tree get them retargeted to its host: all of them but
+	// boundary events and those about pointer capture.
+	_isComposedEventType(type) {
+		return !this._isBoundaryEventType(type) && !/pointercapture$/.test(type);
 	}
 
-	_setGraphicPosition(x, y) {
-		// Borrowed from Leaflet code
-		this._graphic.style.transform = 'translate3d(' + x + 'px, ' + y + 'px, 0)';
+
+	// Calls the given method of all the renderers of this finger, if they have it.
+	// Renderers draw in the window of the hand, so they get client coordinates.
+	_render(method) {
+		var client = this._toClient(this._state.x, this._state.y);
+		var state = Object.assign({}, this._state, { x: client[0], y: client[1] });
+		this._renderers.forEach( renderer => {
+			if (typeof renderer[method] === 'function') {
+				renderer[method](this, state);
+			}
+		});
 	}
 
 
@@ -1,7 +1,12 @@
 
 import Finger from './Finger.js';
+import Recorder from './Recorder.js';
+import { validateScript, playScript, exportScript } from './Script.js';
 import * as enums from './Enums.js';
+import { getEasing } from './Easing.js';
 import * as capabilities from './Capabilities.js';
+import { clientToOffset, frameOffset } from './Coordinates.js';
+import { elementFromPoint } from './Shadow.js';
 import {} from './CustomEventPolyfill.js';
 
 // 🖑class Hand
@@ -14,6 +19,16 @@ import {} from './CustomEventPolyfill.js';
 var h = new Hand({ timing: '20ms' });
 ```
 
+🖑example
+
+Hand-level gestures can be combined: this zooms in while rotating 90 degrees,
+with two touch fingers, then pans with three pointer fingers:
+
+```js
+h.pinch({ center: [300, 200], fromDistance: 100, toDistance: 300, fromAngle: 0, toAngle: 90, duration: 1000 });
+h.pan({ fingers: 3, mode: 'pointer', center: [300, 200], dy: -150, duration: 500 });
+```
+
 */
 export default class Hand {
 
@@ -29,6 +44,15 @@ export default class Hand {
 
 		this._fingersAreIdle = true;
 
+		// Kept for `toScript()`
+		this._options = Object.assign({}, options);
+
+		// For naming the sync points created by `sync()`
+		this._syncCount = 0;
+
+		// Pending `resolve`/`reject` pairs for the promises returned by `whenIdle()`
+		this._idleCallbacks = [];
+
 
 		/// TODO: Timing modes: minimal, interval, frames
 
@@ -85,10 +109,83 @@ export default class Hand {
 				this._timingMode = enums.FASTFRAME;
 				this._timeInterval = parseInt(timing);
 			}
+
+			// 🖑option manual
+			// This mode ignores the browser's clock completely. The hand keeps a
+			// virtual clock (starting at zero), and events are only dispatched
+			// when the clock is moved forward by calling `advance()` or
+			// `runUntilIdle()`. All timestamps, including `event.timeStamp`, are
+			// taken from the virtual clock, so event sequences are fully reproducible.
+			if (timing === 'manual') {
+				this._timingMode = enums.MANUAL;
+				this._timeInterval = false;
+			}
 		}
+
+		// Virtual clock, in milliseconds, only used in `manual` timing mode.
+		this._clock = 0;
 		
 		// 🖑class Hand
 
+		// 🖑option easing: String|Function = 'linear'
+		// The default easing curve for the movements of all fingers in this
+		// hand. See the `easing` [move option](#move-options).
+		this._easing = options.easing || 'linear';
+		getEasing(this._easing);	// Fail early on unknown easings
+
+		// 🖑option legacyTouchEvents: Boolean = false
+		// By default, `TouchEvent`s follow the specifications: each touch keeps
+		// the target it started on, and one `TouchEvent` is dispatched per target.
+		// When `true`, a single `TouchEvent` is dispatched at a time, and `touchend`
+		// and `touchmove` go to the element under the touches instead. This
+		// works around quirks of some old browsers.
+		this._legacyTouchEvents = !!options.legacyTouchEvents;
+
+		// 🖑option window: Window = window
+		// The window where the fingers of this hand live, e.g. the `contentWindow`
+		// of an iframe. Hit testing happens in its document, the events are
+		// built with its event constructors (so `instanceof` checks work in
+		// there), the fingers are drawn in it, and it gets the `prostheticHandStart`
+		// and `prostheticHandStop` events.
+		this._window = options.window || (options.document && options.document.defaultView) || window;
+
+		// 🖑option document: Document = window.document
+		// Like the `window` option, given the document instead of its window.
+		this._document = options.document || this._window.document;
+
+		// 🖑option parentCoordinates: Boolean = false
+		// When `true`, the coordinates of the fingers are relative to the
+		// viewport of the page embedding the `window` (when it's an iframe's),
+		// and get translated through the position of the iframe. Handy to drive
+		// an embedded page with coordinates measured on the page around it.
+		this._parentCoordinates = !!options.parentCoordinates;
+
+		// 🖑option renderer: String|Renderer = *
+		// The default `renderer` for the fingers of this hand. Set it to `'none'`
+		// to run headless, without adding anything to the page (e.g. for
+		// screenshot tests or DOM snapshots).
+		this._renderer = options.renderer;
+
+		// 🖑option trail: Number = 0
+		// The default `trail` for the fingers of this hand.
+		this._trail = options.trail || 0;
+
+		// 🖑option logEvents: Boolean = false
+		// When `true`, the hand keeps a log of all the events it dispatches.
+		// See `getEventLog()`.
+		this._eventLog = options.logEvents ? [] : null;
+
+		// 🖑option onBeforeDispatch: Function
+		// If set to a callback function, it will be called just before every
+		// event is dispatched, with an `Event log entry` (whose `defaultPrevented`
+		// is always `false`) and the `Hand` as arguments.
+		this._onBeforeDispatch = options.onBeforeDispatch;
+
+		// 🖑option onAfterDispatch: Function
+		// If set to a callback function, it will be called just after every
+		// event is dispatched, with an `Event log entry` and the `Hand` as arguments.
+		this._onAfterDispatch = options.onAfterDispatch;
+
 		// 🖑option onStart: Function
 		// If set to a callback function, it will be called (with the `Hand` 
 		// as its only argument) whenever the movements start.
@@ -108,6 +205,9 @@ export default class Hand {
 		// might be either a `setTimeout` reference or a `requestAnimationFrame`
 		// reference.
 		this._nextDispatch = null;
+
+		// Set by `destroy()`
+		this._destroyed = false;
 	}
 
 
@@ -115,6 +215,7 @@ export default class Hand {
 	// Creates a new `Finger` with the same parameters as the [`Finger` constructor](#finger-finger),
 	// and adds it to the hand.
 	growFinger(fingerMode, options) {
+		this._assertNotDestroyed('growFinger');
 
 		if (!options) {
 			options = {};
@@ -128,6 +229,163 @@ export default class Hand {
 	}
 
 
+	// 🖑method removeFinger(finger: Finger): this
+	// Removes a finger from the hand, discarding its queued movements. If the
+	// finger is down, it is cancelled first (see `Finger.reset()`). Its graphic
+	// is removed from the document, any pending `done()` promises are rejected,
+	// and the finger cannot be used anymore.
+	removeFinger(finger) {
+		this._assertNotDestroyed('removeFinger');
+
+		if (this._fingers.indexOf(finger) === -1) {
+			throw new Error('Hand.removeFinger(): the finger does not belong to this hand');
+		}
+
+		// Reject first, as dispatching the cancelled events would resolve them
+		finger._rejectDone();
+		this._releaseFingers([finger]);
+		this._fingers.splice(this._fingers.indexOf(finger), 1);
+		finger._destroy();
+
+		return this;
+	}
+
+
+	// 🖑method destroy(): this
+	// Removes all the fingers (as per `removeFinger()`), cancels any scheduled
+	// dispatch of events, and rejects any pending `whenIdle()` promises.
+	// Any later call to a method of this hand will throw an error.
+	destroy() {
+		this._assertNotDestroyed('destroy');
+
+		// Flag the hand and reject the promises first: dispatching the events
+		// of the cancelled fingers would resolve them (and fire `onStop`) otherwise.
+		this._destroyed = true;
+
+		var callbacks = this._idleCallbacks;
+		this._idleCallbacks = [];
+		callbacks.forEach( c => c.reject(new Error('The hand has been destroyed')) );
+		this._fingers.forEach( f => f._rejectDone() );
+
+		this._releaseFingers(this._fingers);
+		this._cancelNextDispatch();
+
+		this._fingers.forEach( f => f._destroy() );
+		this._fingers = [];
+		this._fingersAreIdle = true;
+
+		return this;
+	}
+
+
+	// Cancels the given fingers if they are down (or about to be), and
+	// dispatches the resulting events straight away.
+	_releaseFingers(fingers) {
+		var busy = fingers.filter( f => f._state.down || !f.isIdle() );
+		busy.forEach( f => f.reset() );
+
+		// Depending on the timing mode, resetting might have dispatched already
+		if (busy.some( f => !f.isIdle() )) {
+			this._dispatchEvents(this.now());
+		}
+	}
+
+
+	// Throws an error if the hand has been destroyed.
+	_assertNotDestroyed(method) {
+		if (this._destroyed) {
+			throw new Error('Hand.' + method + '() cannot be called on a destroyed hand');
+		}
+	}
+
+
+
+
+	// 🖑method now(): Number
+	// Returns the current time, in milliseconds, as seen by this hand. This is
+	// the virtual clock in `manual` timing mode, and `performance.now()` otherwise.
+	now() {
+		if (this._timingMode === enums.MANUAL) {
+			return this._clock;
+		}
+		return this._window.performance.now();
+	}
+
+
+	// 🖑method advance(ms: Number): this
+	// Only for the `manual` timing mode. Moves the virtual clock forward by `ms`
+	// milliseconds, dispatching the events for every movement which ends in
+	// that time span, plus the events for the state of the fingers at the
+	// end of it.
+	advance(ms) {
+		this._assertNotDestroyed('advance');
+		if (this._timingMode !== enums.MANUAL) {
+			throw new Error('Hand.advance() can only be used with the "manual" timing mode');
+		}
+
+		var until = this._clock + ms;
+		var next = this._getNextMoveEndTime();
+
+		while (!this._fingersAreIdle && next <= until) {
+			this._clock = Math.max(this._clock, next);
+			this._dispatchEvents(this._clock);
+			next = this._getNextMoveEndTime();
+		}
+
+		this._clock = until;
+		if (!this._fingersAreIdle) {
+			this._dispatchEvents(until);
+		}
+
+		return this;
+	}
+
+
+	// 🖑method runUntilIdle(): this
+	// Only for the `manual` timing mode. Moves the virtual clock forward, from
+	// one movement end to the next, until all queued movements have been dispatched.
+	runUntilIdle() {
+		this._assertNotDestroyed('runUntilIdle');
+		if (this._timingMode !== enums.MANUAL) {
+			throw new Error('Hand.runUntilIdle() can only be used with the "manual" timing mode');
+		}
+
+		while (!this._fingersAreIdle) {
+			this.advance(Math.max(this._getNextMoveEndTime() - this._clock, 0));
+		}
+
+		return this;
+	}
+
+
+	// 🖑method getEventLog(filter?: String|Function|Finger): Event log entry[]
+	// Returns the log of the events dispatched so far (or since the last
+	// `clearEventLog()`), oldest first. Only available with the `logEvents`
+	// option. The log can be filtered by event type (e.g. `'pointerdown'`), by
+	// a function which takes an entry and returns a `Boolean`, or by finger.
+	getEventLog(filter) {
+		if (!this._eventLog) {
+			throw new Error('Hand.getEventLog() needs the "logEvents" option');
+		}
+		if (typeof filter === 'string') {
+			return this._eventLog.filter( entry => entry.type === filter );
+		} else if (typeof filter === 'function') {
+			return this._eventLog.filter(filter);
+		} else if (filter instanceof Finger) {
+			return this._eventLog.filter( entry => entry.fingerIds.indexOf(filter.getId()) !== -1 );
+		}
+		return this._eventLog.slice();
+	}
+
+
+	// 🖑method clearEventLog(): this
+	// Empties the log of dispatched events.
+	clearEventLog() {
+		if (this._eventLog) {
+			this._eventLog = [];
+		}
+		return this;
+	}
 
 
 	// 🖑method fingerIsBusy(): this
@@ -137,13 +395,13 @@ export default class Hand {
 
 		/// TODO: Start up the event loop
 
-		if (this._fingersAreIdle) {
+		if (this._fingersAreIdle && !this._destroyed) {
 			// 🖑section
 			// Use `document.addEventListener('prostheticHandStop', fn)` to
 			// do stuff with it.
 			// 🖑event prostheticHandStart: CustomEvent
 			// Fired when all movements are complete.
-			document.dispatchEvent(new CustomEvent('prostheticHandStart', {target: this}));
+			this._document.dispatchEvent(new this._window.CustomEvent('prostheticHandStart', {target: this}));
 
 			if (this._onStart && this._onStart instanceof Function) {
 				this._onStart(this);
@@ -167,32 +425,249 @@ export default class Hand {
 	}
 
 
+	// 🖑method whenIdle(): Promise
+	// Returns a `Promise` which resolves (to this `Hand`) once all the queued
+	// movements of all the fingers have been dispatched. If the hand is already
+	// idle, the promise resolves straight away.
+	whenIdle() {
+		this._assertNotDestroyed('whenIdle');
+		if (this._fingersAreIdle) {
+			return Promise.resolve(this);
+		}
+		return new Promise((resolve, reject)=> {
+			this._idleCallbacks.push({ resolve: resolve, reject: reject });
+		});
+	}
+
+
 	// 🖑method sync(delay): this
 	// Synchronizes the finger movements by adding a delay of **at least** `delay`
 	// milliseconds to each finger. After a sync, the movements of the fingers
 	// will happen at exactly the same time.
 	sync(delay) {
+		this._assertNotDestroyed('sync');
+		return this._syncFingers(this._fingers, delay);
+	}
 
-		var endTimestamp = performance.now();
+	// Like `sync()`, but only for the given fingers. The sync point gets the
+	// given name in scripts, or an automatic one.
+	_syncFingers(fingers, delay, name) {
+		var action = {
+			action: 'sync',
+			name: name === undefined ? 'sync' + (++this._syncCount) : name,
+			delay: delay || 0
+		};
 
-		this._fingers.forEach( f =>  {
+		var endTimestamp = this.now();
+
+		fingers.forEach( f =>  {
 			var movesUntil = f._movesUntil;
 			if (movesUntil) {
 				endTimestamp = Math.max(endTimestamp, movesUntil);
 			}
 		});
 
-		var waitUntil = endTimestamp + delay;
+		var waitUntil = endTimestamp + (delay || 0);
+
+		fingers.forEach( f =>  {
+			f.waitUntil(waitUntil, action);
+		});
+
+		return this;
+	}
+
+
+
+	// 🖑section Scripts
+	// Gestures can be described as plain objects, so they can be stored as
+	// JSON fixtures, or produced by other tools. See `Script`.
+
+	// 🖑method play(script: Script): this
+	// Grows the fingers described in the script, and queues all of their
+	// actions. The `hand` options of the script are ignored. The script can
+	// also be given as a JSON string. Throws an error, pointing at the
+	// offending part, if the script is not valid.
+	play(script) {
+		this._assertNotDestroyed('play');
+		if (typeof script === 'string') {
+			script = JSON.parse(script);
+		}
+		validateScript(script);
+		return playScript(this, script);
+	}
+
+	// 🖑function play(script: Script): Hand
+	// Creates a new `Hand` with the `hand` options of the script, and plays
+	// the script with it, as `hand.play(script)` does.
+	static play(script) {
+		if (typeof script === 'string') {
+			script = JSON.parse(script);
+		}
+		validateScript(script);
+		return playScript(new Hand(script.hand), script);
+	}
+
+	// 🖑method toScript(): Script
+	// Returns a script which reproduces everything queued in this hand so far,
+	// with all its fingers. Throws an error if something cannot be described
+	// in a script, like gestures, `reset()`, `waitUntil()`, easing functions
+	// or moving to elements instead of selectors.
+	toScript() {
+		this._assertNotDestroyed('toScript');
+		return exportScript(this);
+	}
+
+
+
+	// 🖑section Gestures
+	// Hand-level gestures put several fingers down at the same time, move them
+	// together, and lift them at the same time. All the gestures are special
+	// cases of `gesture()`, so any of them accepts all the `Gesture options`;
+	// e.g. a `pinch()` with `fromAngle` and `toAngle` will also rotate.
+
+	// 🖑method pinch(options: Gesture options): this
+	// Puts two fingers down around `center`, at `fromDistance` pixels from each
+	// other, and moves them until they are `toDistance` pixels away.
+	pinch(options) {
+		return this.gesture(Object.assign({ fingers: 2 }, options));
+	}
+
+	// 🖑method rotate(options: Gesture options): this
+	// Puts two fingers down on a circle of the given `radius` around `center`,
+	// and rotates them from `fromAngle` to `toAngle`.
+	rotate(options) {
+		options = Object.assign({ fingers: 2, radius: 50, fromAngle: 0, toAngle: 90 }, options);
+		if (!('fromDistance' in options)) {
+			options.fromDistance = options.radius * 2;
+		}
+		if (!('toDistance' in options)) {
+			options.toDistance = options.radius * 2;
+		}
+		return this.gesture(options);
+	}
+
+	// 🖑method pan(options: Gesture options): this
+	// Puts some fingers down around `center`, and moves all of them by
+	// `dx` and `dy` pixels.
+	pan(options) {
+		return this.gesture(Object.assign({ fingers: 2 }, options));
+	}
+
+	// 🖑method gesture(options: Gesture options): this
+	// Performs a generic multi-finger gesture. The fingers are laid out evenly
+	// on a circle around the center (a finger at the center if there is only
+	// one), and the distance, angle and center are interpolated during the
+	// gesture.
+	gesture(options) {
+		this._assertNotDestroyed('gesture');
+		options = options || {};
+
+		// 🖑miniclass Gesture options (Hand)
+		// 🖑option fingers: Number|Finger[] = 2
+		// How many fingers take part in the gesture. Fingers of the hand with
+		// the same `mode` are reused, and new ones are grown as needed.
+		// Alternatively, an array with the exact fingers to use.
+		// 🖑option mode: String = 'touch'
+		// Either `touch` or `pointer`, for the fingers to be reused or grown.
+		// 🖑option pointerType: String = 'touch'
+		// The `pointerType` of grown `pointer` fingers.
+		// 🖑option center: Number[]
+		// The `[x, y]` coordinates of the center of the gesture. Defaults to the
+		// center of the viewport.
+		// 🖑option fromDistance: Number = 100
+		// Distance between the fingers (i.e. diameter of the circle they lay on) at the start.
+		// 🖑option toDistance: Number = fromDistance
+		// Distance between the fingers at the end.
+		// 🖑option radius: Number = 50
+		// Only for `rotate()`, a shorthand for a constant distance of `2 * radius`.
+		// 🖑option fromAngle: Number = 0
+		// Angle, in degrees clockwise from the X axis, of the first finger at the start.
+		// 🖑option toAngle: Number = fromAngle
+		// Angle of the first finger at the end.
+		// 🖑option dx: Number = 0
+		// Horizontal displacement of the center during the gesture.
+		// 🖑option dy: Number = 0
+		// Vertical displacement of the center during the gesture.
+		// 🖑option duration: Number = 500
+		// Duration of the movement, in milliseconds.
+		// 🖑option easing: String|Function = *
+		// The easing curve of the movement, like the `easing` [move option](#move-options).
+
+		// 🖑class Hand
+
+		var fingers = this._getGestureFingers(options);
+		var count = fingers.length;
 
-		this._fingers.forEach( f =>  {
-			f.waitUntil(waitUntil);
+		var center = options.center;
+		if (!center) {
+			var offset = this._parentCoordinates ? frameOffset(this._window) : [0, 0];
+			center = [
+				Math.round(offset[0] + this._window.innerWidth / 2),
+				Math.round(offset[1] + this._window.innerHeight / 2)
+			];
+		}
+		var cx = 'x' in center ? center.x : center[0];
+		var cy = 'y' in center ? center.y : center[1];
+		var dx = options.dx || 0;
+		var dy = options.dy || 0;
+
+		var fromDistance = 'fromDistance' in options ? options.fromDistance : 100;
+		var toDistance = 'toDistance' in options ? options.toDistance : fromDistance;
+		var fromAngle = options.fromAngle || 0;
+		var toAngle = 'toAngle' in options ? options.toAngle : fromAngle;
+
+		var duration = 'duration' in options ? options.duration : 500;
+		var easing = getEasing(options.easing || this._easing);
+
+		// Position of the i-th finger at the given percentage of the gesture.
+		function positionAt(i, percent) {
+			var radius = count > 1 ? (fromDistance + (toDistance - fromDistance) * percent) / 2 : 0;
+			var angle = (fromAngle + (toAngle - fromAngle) * percent + i * 360 / count) * Math.PI / 180;
+			return {
+				x: Math.round(cx + dx * percent + Math.cos(angle) * radius),
+				y: Math.round(cy + dy * percent + Math.sin(angle) * radius)
+			};
+		}
+
+		this._syncFingers(fingers, 0);
+
+		fingers.forEach( (f, i) => {
+			var start = positionAt(i, 0);
+			f.moveTo(start.x, start.y, 0).down();
+			f._queueMove({
+				finalState: positionAt(i, 1),
+				getState: function(msec) {
+					return positionAt(i, easing(msec / duration));
+				},
+				duration: duration
+			});
+			f.up();
 		});
 
+		return this;
 	}
 
+	// Returns an array of fingers for a gesture, reusing and/or growing fingers as needed.
+	_getGestureFingers(options) {
+		if (options.fingers instanceof Array) {
+			return options.fingers;
+		}
 
+		var count = options.fingers || 2;
+		var mode = options.mode || 'touch';
+		var fingers = this._fingers.filter( f => f._mode === mode ).slice(0, count);
 
+		while (fingers.length < count) {
+			fingers.push(this.growFinger(mode, { pointerType: options.pointerType || 'touch' }));
+		}
+		return fingers;
+	}
 
+
+
+
+
+	// 🖑section
 	// 🖑method private_dispatchEvents(): this
 	// Updates all the fingers, fetching their events/touchpoints, and dispatches
 	// all `Event`s triggered by the update.
@@ -202,65 +677,177 @@ export default class Hand {
 		// 🖑event prostheticHandTick: CustomEvent
 		// Fired a movement is about to start, just before the mouse/touch/pointer
 		// events are fired.
-		document.dispatchEvent(new CustomEvent('prostheticHandStart', {target: this}));
+		this._document.dispatchEvent(new this._window.CustomEvent('prostheticHandStart', {target: this}));
 
 
-		var now = timestamp || performance.now();
+		var now = timestamp || this.now();
 		var events = [];
-		var touches = [];
-		var changedTouches = [];
+		var lateEvents = [];
+		var touchRecords = [];
+		var tappingFingers = [];
 
-		var hasTouchStart = false;
-		var touchStartTarget = undefined;
-		var hasTouchEnd = false;
-		var touchEndTarget = undefined;
+		// Keyboard modifiers for the `TouchEvent`s; a key counts as pressed
+		// if any touching finger says so.
+		var modifiers = { ctrlKey: false, altKey: false, shiftKey: false, metaKey: false };
 
 		var fast = this._timingMode === enums.MINIMAL ||
 		           this._timingMode === enums.INSTANT ||
-		           this._timingMode === enums.FASTFRAME;
+		           this._timingMode === enums.FASTFRAME ||
+		           this._timingMode === enums.MANUAL;
 
 		this._fingers.forEach(f=> {
 
 			var evs = f.getEvents(now, fast);
 
 			evs.forEach( ev => {
-				if ('event' in ev) {
-					events.push(ev.event);
+				if (ev.type === 'tap') {
+					tappingFingers.push(f);
 				}
-				if ('touch' in ev) {
-					if (ev.type === 'down') {
-						hasTouchStart = true;
-						touchStartTarget = ev.touch.target;
-						// If several touches start in the same instant at
-						// the diffetent targets, this code will instead
-						// assume the last target.
-					}
-
-					if (ev.type === 'up') {
-						hasTouchEnd = true;
-						touchEndTarget = ev.touch.target;
+				if ('event' in ev) {
+					// Events from touch fingers (e.g. `click`) follow the `TouchEvent`s,
+					// except for `PointerEvent`s, which precede them
+					if (f._mode === 'touch' && !/pointer/.test(ev.event.type)) {
+						lateEvents.push(ev);
 					} else {
-						// Touches which have just been lost must not be added
-						// to 'touches' or 'targetTouches'
-						touches.push(ev.touch);
+						events.push(ev);
 					}
-
-					if (ev.type !== 'idle') {
-						changedTouches.push(ev.touch);
+				}
+				if ('touch' in ev) {
+					for (var key in modifiers) {
+						modifiers[key] = modifiers[key] || !!f._state[key];
 					}
+					touchRecords.push(ev);
 				}
 			});
 		});
 
 		// Fire all `MouseEvent`s and `PointerEvent`s
-		events.forEach( ev => {
-// 			console.log('Dispatching: ', ev.type);
-			document.elementFromPoint(ev.clientX, ev.clientY).dispatchEvent(ev);
+		events.forEach( ev => this._dispatchRecord(ev, now) );
+
+		// Fire the `TouchEvent`s for all the fingers' touches
+		if (this._legacyTouchEvents) {
+			this._dispatchTouchEventsLegacy(touchRecords, modifiers, now);
+		} else {
+			this._dispatchTouchEvents(touchRecords, modifiers, now);
+		}
+
+		lateEvents.forEach( ev => this._dispatchRecord(ev, now) );
+
+		// Compatibility mouse events, now that it's known whether the
+		// `TouchEvent`s were `preventDefault()`ed
+		tappingFingers.forEach( f => {
+			f._tapEvents().forEach( ev => this._dispatchRecord(ev, now) );
+		});
+
+		// Fingers which are done by now can resolve their `done()` promises.
+		this._fingers.forEach(f=> {
+			if (f.isIdle()) {
+				f._resolveDone();
+			}
 		});
 
+		this._scheduleNextDispatch();
+
+		return this;
+	}
+
+	// Dispatches the `TouchEvent`s for the given touch records, as per the
+	// specifications: every touch keeps the target it started on, and there is
+	// one `TouchEvent` per distinct target of the changed touches. Touches which
+	// start, move, end or are cancelled at the same time get their own
+	// `touchstart`, `touchmove`, `touchend` and `touchcancel`, in that order.
+	_dispatchTouchEvents(records, modifiers, now) {
+		var changedByType = { down: [], move: [], up: [], cancel: [] };
+		var touches = [];
+
+		records.forEach( record => {
+			if (record.type in changedByType) {
+				changedByType[record.type].push(record.touch);
+			}
+			touches.push(record.touch);
+		});
+
+		// Safari misbehaves when searching for the elementFromPoint(0, 0)
+		// and returns `undefined` instead of `document`
+		var targetOf = touch => touch.target || this._document;
+
+		[
+			['touchstart', 'down'],
+			['touchmove', 'move'],
+			['touchend', 'up'],
+			['touchcancel', 'cancel']
+		].forEach( pair => {
+			var type = pair[0];
+			var changedTouches = changedByType[pair[1]];
+
+			// Touches which have just been lost must not be added
+			// to 'touches' or 'targetTouches'
+			if (type === 'touchend' || type === 'touchcancel') {
+				touches = touches.filter( t => changedTouches.indexOf(t) === -1 );
+			}
+
+			var targets = [];
+			changedTouches.forEach( t => {
+				if (targets.indexOf(targetOf(t)) === -1) {
+					targets.push(targetOf(t));
+				}
+			});
+
+			targets.forEach( target => {
+				var touchEvent = this._createTouchEvent(type, Object.assign({
+					cancelable: type !== 'touchcancel',
+					bubbles: true,
+					composed: true,
+					touches: touches,
+					targetTouches: touches.filter( t => targetOf(t) === target ),
+					changedTouches: changedTouches.filter( t => targetOf(t) === target )
+				}, modifiers));
+
+				this._dispatch(target, touchEvent, now);
+			});
+		});
+	}
+
+	// Dispatches *ONE* `TouchEvent` for the given touch records, the way older
+	// versions did, to work around the quirks of some old browsers. See the
+	// `legacyTouchEvents` option.
+	_dispatchTouchEventsLegacy(records, modifiers, now) {
+		var touches = [];
+		var changedTouches = [];
+		var cancelledTouches = [];
+
+		var hasTouchStart = false;
+		var touchStartTarget = undefined;
+		var hasTouchEnd = false;
+		var touchEndTarget = undefined;
+
+		records.forEach( ev => {
+			if (ev.type === 'down') {
+				hasTouchStart = true;
+				touchStartTarget = ev.touch.target;
+				// If several touches start in the same instant at
+				// the diffetent targets, this code will instead
+				// assume the last target.
+			}
+
+			if (ev.type === 'up') {
+				hasTouchEnd = true;
+				touchEndTarget = ev.touch.target;
+			} else if (ev.type === 'cancel') {
+				// Cancelled touches get a `touchcancel` of their own
+				cancelledTouches.push(ev.touch);
+				return;
+			} else {
+				// Touches which have just been lost must not be added
+				// to 'touches' or 'targetTouches'
+				touches.push(ev.touch);
+			}
+
+			if (ev.type !== 'idle') {
+				changedTouches.push(ev.touch);
+			}
+		});
 
-		/// Build *ONE* `TouchEvent` with `TouchList`s built with
-		/// the fingers' touches.
 		if (touches.length || hasTouchEnd) {
 			var touchEvent;
 			var touchTarget;
@@ -269,13 +856,14 @@ export default class Hand {
 				// In case touches are added and removed on the same instant,
 				// `touchstart` takes precedence.
 
-				touchEvent = this._createTouchEvent("touchstart", {
+				touchEvent = this._createTouchEvent("touchstart", Object.assign({
 					cancelable: true,
 					bubbles: true,
+					composed: true,
 					touches: touches,
 					targetTouches: touches.filter( t => t.target === touchStartTarget ),
 					changedTouches: changedTouches
-				});
+				}, modifiers));
 				touchTarget = touchStartTarget;
 // console.log('synthesizing touchstart', touchStartTarget, touchEvent);
 
@@ -285,16 +873,17 @@ export default class Hand {
 				// «touchend: The event's target is the same element that received
 				// the touchstart event corresponding to the touch point, even
 				// if the touch point has moved outside that element.»
-				touchEndTarget = document.elementFromPoint(changedTouches[0].clientX, changedTouches[0].clientY);
+				touchEndTarget = elementFromPoint(this._document, changedTouches[0].clientX, changedTouches[0].clientY);
 
-				touchEvent = this._createTouchEvent("touchend", {
+				touchEvent = this._createTouchEvent("touchend", Object.assign({
 					cancelable: true,
 					bubbles: true,
+					composed: true,
 					touches: touches,
 					target: touchEndTarget,
 					targetTouches: touches.filter( t => t.target === touchEndTarget ),
 					changedTouches: changedTouches
-				});
+				}, modifiers));
 				touchTarget = touchEndTarget;
 // console.log('synthesizing touchend', touchEndTarget, touchEvent);
 
@@ -304,15 +893,16 @@ export default class Hand {
 				// Apparently dispatching a touch event to the target of a touch
 				// will not work.
 // 				touchTarget = touches[0].target;
-				touchTarget = document.elementFromPoint(touches[0].clientX, touches[0].clientY);
+				touchTarget = elementFromPoint(this._document, touches[0].clientX, touches[0].clientY);
 
-				touchEvent = this._createTouchEvent("touchmove", {
+				touchEvent = this._createTouchEvent("touchmove", Object.assign({
 					cancelable: true,
 					bubbles: true,
+					composed: true,
 					touches: touches,
 					targetTouches: touches.filter( t => t.target === touchTarget ),
 					changedTouches: changedTouches
-				});
+				}, modifiers));
 
 			}
 
@@ -322,33 +912,130 @@ export default class Hand {
 				// Safari misbehaves when searching for the elementFromPoint(0, 0)
 				// and returns `undefined` instead of `document`
 				if (!touchTarget) {
-					touchTarget = document;
+					touchTarget = this._document;
 				}
 
-				touchTarget.dispatchEvent(touchEvent);
+				this._dispatch(touchTarget, touchEvent, now);
 			}
 
 		}
 
-		this._scheduleNextDispatch();
+		if (cancelledTouches.length) {
+			var cancelTarget = cancelledTouches[0].target || this._document;
+			var cancelEvent = this._createTouchEvent("touchcancel", Object.assign({
+				cancelable: false,
+				bubbles: true,
+				composed: true,
+				touches: touches,
+				targetTouches: touches.filter( t => t.target === cancelTarget ),
+				changedTouches: cancelledTouches
+			}, modifiers));
+			this._dispatch(cancelTarget, cancelEvent, now);
+		}
+	}
 
-		return this;
+	// Fires the event of a record returned by `Finger.getEvents()`, either at
+	// its explicit target or at whatever is under it.
+	_dispatchRecord(record, timestamp) {
+// 		console.log('Dispatching: ', record.event.type);
+		var target = record.target || elementFromPoint(this._document, record.event.clientX, record.event.clientY);
+		this._setOffset(record.event, target);
+		// Records for high-frequency samples bring their own timestamp
+		if ('timestamp' in record) {
+			timestamp = record.timestamp;
+		}
+		this._dispatch(target, record.event, timestamp, [record.finger._id]);
+	}
+
+	// Dispatches an event at a target. All the events go through here, so
+	// this keeps the event log and calls the dispatch hooks. `fingerIds` default
+	// to the identifiers of the changed touches of a `TouchEvent`.
+	_dispatch(target, ev, timestamp, fingerIds) {
+		this._stampEvent(ev, timestamp);
+
+		var point = ev;
+		if (!fingerIds) {
+			fingerIds = [];
+			for (var i = 0; i < ev.changedTouches.length; i++) {
+				fingerIds.push(ev.changedTouches[i].identifier);
+			}
+			point = ev.changedTouches[0];
+		}
+
+		// 🖑miniclass Event log entry (Hand)
+		// 🖑property type: String; The type of the event, e.g. `'touchmove'`.
+		// 🖑property target: EventTarget; The target the event was dispatched at.
+		// 🖑property x: Number; The `clientX` of the event (of its first changed touch, for `TouchEvent`s).
+		// 🖑property y: Number; The `clientY` of the event (of its first changed touch, for `TouchEvent`s).
+		// 🖑property fingerIds: Number[]; The ids of the fingers the event comes from (see `Finger.getId()`).
+		// 🖑property timeStamp: Number; When the event was dispatched, as per `Hand.now()`.
+		// 🖑property defaultPrevented: Boolean; Whether any event listener called `preventDefault()` on the event.
+		// 🖑property event: Event; The event itself.
+		var entry = {
+			type: ev.type,
+			target: target,
+			x: point.clientX,
+			y: point.clientY,
+			fingerIds: fingerIds,
+			timeStamp: timestamp,
+			defaultPrevented: false,
+			event: ev
+		};
+
+		if (typeof this._onBeforeDispatch === 'function') {
+			this._onBeforeDispatch(entry, this);
+		}
+
+		target.dispatchEvent(ev);
+		entry.defaultPrevented = ev.defaultPrevented;
+
+		if (ev.defaultPrevented) {
+			this._fingers.forEach( f => {
+				if (fingerIds.indexOf(f._id) !== -1) {
+					f._eventPrevented(ev.type);
+				}
+			});
+		}
+
+		if (this._eventLog) {
+			this._eventLog.push(entry);
+		}
+		if (typeof this._onAfterDispatch === 'function') {
+			this._onAfterDispatch(entry, this);
+		}
+	}
+
+	// Sets the (read-only) `offsetX` and `offsetY` of the given mouse-like event,
+	// as they depend on its target. Not all browsers compute them properly
+	// for synthetic events.
+	_setOffset(ev, target) {
+		var offset = clientToOffset(target, ev.clientX, ev.clientY);
+		Object.defineProperty(ev, 'offsetX', { value: offset[0] });
+		Object.defineProperty(ev, 'offsetY', { value: offset[1] });
+	}
+
+	// In `manual` timing mode, overrides the (read-only) `timeStamp` of the given
+	// event with the value of the virtual clock.
+	_stampEvent(ev, timestamp) {
+		if (this._timingMode === enums.MANUAL) {
+			Object.defineProperty(ev, 'timeStamp', { value: timestamp });
+		}
 	}
 
 	// Wrapper over `new Event()` or `createEvent(); initTouchEvent()` depending
 	// on what the browser supports.
 	_createTouchEvent(type, data) {
 		if (capabilities.touchEventConstructor) {
-			return new TouchEvent(type, data);
+			return new this._window.TouchEvent(type, data);
 		} else {
 			// It's ugly, it's legacy, but it should work.
 			// See https://miketaylr.com/posts/2015/09/init-touch-event-is-a-rats-nest.html
 
 			var touchEvent;
 			try {
-				touchEvent = document.createEvent('TouchEvent');
+				touchEvent = this._document.createEvent('TouchEvent');
 			} catch (e) {
-				touchEvent = document.createEvent('UIEvent');
+				touchEvent = this._document.createEvent('UIEvent');
 			}
 
 			if (touchEvent && touchEvent.initTouchEvent) {
@@ -358,7 +1045,7 @@ export default class Hand {
 						this._createTouchListFromArray(data.targetTouches),
 						this._createTouchListFromArray(data.changedTouches),
 						type,
-						window,
+						this._window,
 						0,	// screenX
 						0,	// screenY
 						0,	// clientX
@@ -370,7 +1057,7 @@ export default class Hand {
 						type,
 						data.bubbles,
 						data.cancelable,
-						window,
+						this._window,
 						data.detail,
 						data.ctrlKey,
 						data.altKey,
@@ -387,7 +1074,7 @@ export default class Hand {
 						type,
 						data.bubbles,
 						data.cancelable,
-						window,
+						this._window,
 						data.detail,
 						0, // screenX,
 						0, // screenY,
@@ -416,79 +1103,107 @@ export default class Hand {
 	_createTouchListFromArray(touches) {
 		switch(touches.length) {
 			case 0:
-				return document.createTouchList();
+				return this._document.createTouchList();
 			case 1:
-				return document.createTouchList(touches[0]);
+				return this._document.createTouchList(touches[0]);
 			case 2:
-				return document.createTouchList(touches[0], touches[1]);
+				return this._document.createTouchList(touches[0], touches[1]);
 			case 3:
-				return document.createTouchList(touches[0], touches[1], touches[2]);
+				return this._document.createTouchList(touches[0], touches[1], touches[2]);
 			case 4:
-				return document.createTouchList(touches[0], touches[1], touches[2], touches[3]);
+				return this._document.createTouchList(touches[0], touches[1], touches[2], touches[3]);
 			case 5:
-				return document.createTouchList(touches[0], touches[1], touches[2], touches[3], touches[4]);
+				return this._document.createTouchList(touches[0], touches[1], touches[2], touches[3], touches[4]);
 			case 6:
-				return document.createTouchList(touches[0], touches[1], touches[2], touches[3], touches[4], touches[5]);
+				return this._document.createTouchList(touches[0], touches[1], touches[2], touches[3], touches[4], touches[5]);
 			case 7:
-				return document.createTouchList(touches[0], touches[1], touches[2], touches[3], touches[4], touches[5], touches[6]);
+				return this._document.createTouchList(touches[0], touches[1], touches[2], touches[3], touches[4], touches[5], touches[6]);
 			default:
-				return document.createTouchList(touches[0], touches[1], touches[2], touches[3], touches[4], touches[5], touches[6], touches[7]);
+				return this._document.createTouchList(touches[0], touches[1], touches[2], touches[3], touches[4], touches[5], touches[6], touches[7]);
 		}
 
 	}
 
 
 	_scheduleNextDispatch(){
+		this._cancelNextDispatch();
+
 		if (this._fingersAreIdle) {
+			// Nothing to announce when the hand is being destroyed
+			if (this._destroyed) {
+				return;
+			}
+
 			// 🖑event prostheticHandStop: CustomEvent
 			// Fired when all movements are complete.
 
-			document.dispatchEvent(new CustomEvent('prostheticHandStop', {target: this}));
+			this._document.dispatchEvent(new this._window.CustomEvent('prostheticHandStop', {target: this}));
 				
 
 			if (this._onStop && this._onStop instanceof Function) {
 				this._onStop(this);
 			}
 
-		} else {
+			var callbacks = this._idleCallbacks;
+			this._idleCallbacks = [];
+			callbacks.forEach( c => c.resolve(this) );
 
-			// Calculate time for next movement end. Could be refactored out for
-			// some timing modes.
-			var min = Infinity;
-			this._fingers.forEach(f=> {
-				if (!f.isIdle()) {
-					var next = f.getNextMoveEndTime();
-					// 						console.log('next:', next);
-					if (next < min) {
-						min = next;
-					}
-				}
-			});
+		} else {
 
+			var min = this._getNextMoveEndTime();
 
 			if (this._timingMode === enums.INTERVAL) {
 				this._nextDispatch = setTimeout(this._dispatchEvents.bind(this), this._timeInterval);
 
 			} else if (this._timingMode === enums.MINIMAL) {
-				this._nextDispatch = setTimeout(this._dispatchEvents.bind(this), min - performance.now());
+				this._nextDispatch = setTimeout(this._dispatchEvents.bind(this), min - this.now());
 
 			} else if (this._timingMode === enums.INSTANT) {
 				return this._dispatchEvents(min);
 
 			} else if (this._timingMode === enums.FRAME) {
-				this._nextDispatch = requestAnimationFrame( this._dispatchEvents.bind(this) );
+				this._nextDispatch = this._window.requestAnimationFrame( this._dispatchEvents.bind(this) );
 
 			} else if (this._timingMode === enums.FASTFRAME) {
-				this._nextDispatch = requestAnimationFrame( function() {
+				this._nextDispatch = this._window.requestAnimationFrame( function() {
 					this._dispatchEvents(min);
 				}.bind(this));
 
 			}
+			// In `manual` mode, nothing happens until `advance()` is called.
 		}
 	}
 
-}
+	// Cancels the scheduled call to `_dispatchEvents`, if any.
+	_cancelNextDispatch() {
+		if (this._nextDispatch !== null) {
+			if (this._timingMode === enums.FRAME || this._timingMode === enums.FASTFRAME) {
+				this._window.cancelAnimationFrame(this._nextDispatch);
+			} else {
+				clearTimeout(this._nextDispatch);
+			}
+			this._nextDispatch = null;
+		}
+	}
 
+	// Returns the timestamp for the next movement end, among all fingers
+	// (or `Infinity` if all fingers are idle).
+	_getNextMoveEndTime() {
+		var min = Infinity;
+		this._fingers.forEach(f=> {
+			if (!f.isIdle()) {
+				var next = f.getNextMoveEndTime();
+				if (next < min) {
+					min = next;
+				}
+			}
+		});
+		return min;
+	}
+
+}
 
 
+// Expose the `Recorder` class as `Hand.Recorder`, as the bundle exports `Hand` only.
+Hand.Recorder = Recorder;
 
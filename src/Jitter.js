@@ -0,0 +1,53 @@
+
+// Seedable pseudo-random noise, used to add some jitter to the fingers. Only for
+// internal use, not exposed to the API user.
+
+
+// `Math.imul` is not available in IE11
+var imul = Math.imul || function(a, b) {
+	var aHi = (a >>> 16) & 0xffff;
+	var aLo = a & 0xffff;
+	var bHi = (b >>> 16) & 0xffff;
+	var bLo = b & 0xffff;
+	return ((aLo * bLo) + (((aHi * bLo + aLo * bHi) << 16) >>> 0) | 0);
+};
+
+
+// Returns a pseudo-random number generator (mulberry32) for the given 32-bit
+// seed. Each call to the returned function gives a number between 0 and 1.
+export function prng(seed) {
+	var state = seed >>> 0;
+	return function() {
+		state = (state + 0x6D2B79F5) >>> 0;
+		var t = state;
+		t = imul(t ^ (t >>> 15), t | 1);
+		t ^= t + imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+
+// Returns a random 32-bit seed, for when the user doesn't provide one.
+export function randomSeed() {
+	return Math.floor(Math.random() * 4294967296);
+}
+
+
+// Returns a smooth 1D noise function (value noise). The returned function
+// takes a position and returns a value between -1 and 1; integer positions
+// get independent random values, and positions in between are interpolated.
+// The same seed always produces the same function.
+export function valueNoise(seed) {
+	function valueAt(i) {
+		return prng((seed ^ imul(i, 0x9E3779B1)) >>> 0)() * 2 - 1;
+	}
+
+	return function(position) {
+		var i = Math.floor(position);
+		var f = position - i;
+		var smooth = f * f * (3 - 2 * f);
+		var a = valueAt(i);
+		return a + (valueAt(i + 1) - a) * smooth;
+	};
+}
+
@@ -0,0 +1,324 @@
+
+// Helpers to turn curved paths into polylines, and to walk along a polyline at
+// uniform speed. Only for internal use, the public interface is `Finger.moveAlong()`.
+
+
+// Approximate distance, in pixels, between the points sampled along curves.
+var sampleSpacing = 2;
+
+
+// Parses a path, as accepted by `Finger.moveAlong()`, into an array of
+// `[x, y]` points. The first point is the start of the path: `from` unless
+// the path begins with an `M` command.
+export function flattenPath(path, from) {
+	if (typeof path === 'string') {
+		return flattenSvgPath(path, from);
+	}
+
+	if (!Array.isArray(path) || !path.length) {
+		throw new Error('Invalid path: ' + path);
+	}
+
+	var points = [[from[0], from[1]]];
+
+	// A plain array of points is a polyline
+	if (Array.isArray(path[0])) {
+		path.forEach( p => points.push([p[0], p[1]]) );
+		return points;
+	}
+
+	path.forEach( segment => {
+		var current = points[points.length - 1];
+
+		if (segment.type === 'line') {
+			points.push([segment.to[0], segment.to[1]]);
+
+		} else if (segment.type === 'quadratic') {
+			sampleQuadratic(points, current, segment.control, segment.to);
+
+		} else if (segment.type === 'cubic') {
+			sampleCubic(points, current, segment.control1, segment.control2, segment.to);
+
+		} else if (segment.type === 'arc') {
+			var cx = segment.center[0];
+			var cy = segment.center[1];
+			var radius = Math.sqrt(Math.pow(current[0] - cx, 2) + Math.pow(current[1] - cy, 2));
+			var startAngle = Math.atan2(current[1] - cy, current[0] - cx);
+			sampleArc(points, cx, cy, radius, radius, 0, startAngle, segment.angle * Math.PI / 180);
+
+		} else {
+			throw new Error('Unknown path segment type: ' + segment.type);
+		}
+	});
+
+	return points;
+}
+
+
+// Returns a function which, given a fraction of the total length of a polyline
+// (between `0` and `1`), returns the `[x, y]` point at that distance along it.
+export function walker(points) {
+	var lengths = [0];
+	for (var i = 1; i < points.length; i++) {
+		var dx = points[i][0] - points[i - 1][0];
+		var dy = points[i][1] - points[i - 1][1];
+		lengths.push(lengths[i - 1] + Math.sqrt(dx * dx + dy * dy));
+	}
+	var total = lengths[lengths.length - 1];
+	var last = points[points.length - 1];
+
+	return function(fraction) {
+		if (fraction >= 1 || !total) {
+			return last;
+		}
+
+		var travelled = Math.max(fraction, 0) * total;
+
+		// Binary search for the segment containing that distance
+		var lo = 0, hi = lengths.length - 1;
+		while (hi - lo > 1) {
+			var mid = (lo + hi) >> 1;
+			if (lengths[mid] <= travelled) {
+				lo = mid;
+			} else {
+				hi = mid;
+			}
+		}
+
+		var segmentLength = lengths[hi] - lengths[lo];
+		var t = segmentLength ? (travelled - lengths[lo]) / segmentLength : 0;
+		return [
+			points[lo][0] + (points[hi][0] - points[lo][0]) * t,
+			points[lo][1] + (points[hi][1] - points[lo][1]) * t
+		];
+	};
+}
+
+
+function distance(p1, p2) {
+	return Math.sqrt(Math.pow(p2[0] - p1[0], 2) + Math.pow(p2[1] - p1[1], 2));
+}
+
+
+// How many samples for a curve, given the length of its control polygon (which
+// is always longer than the curve itself).
+function sampleCount(length) {
+	return Math.min(Math.max(Math.ceil(length / sampleSpacing), 8), 1024);
+}
+
+
+function sampleQuadratic(points, p0, p1, p2) {
+	var n = sampleCount(distance(p0, p1) + distance(p1, p2));
+	for (var i = 1; i <= n; i++) {
+		var t = i / n;
+		var u = 1 - t;
+		points.push([
+			u * u * p0[0] + 2 * u * t * p1[0] + t * t * p2[0],
+			u * u * p0[1] + 2 * u * t * p1[1] + t * t * p2[1]
+		]);
+	}
+}
+
+
+function sampleCubic(points, p0, p1, p2, p3) {
+	var n = sampleCount(distance(p0, p1) + distance(p1, p2) + distance(p2, p3));
+	for (var i = 1; i <= n; i++) {
+		var t = i / n;
+		var u = 1 - t;
+		points.push([
+			u * u * u * p0[0] + 3 * u * u * t * p1[0] + 3 * u * t * t * p2[0] + t * t * t * p3[0],
+			u * u * u * p0[1] + 3 * u * u * t * p1[1] + 3 * u * t * t * p2[1] + t * t * t * p3[1]
+		]);
+	}
+}
+
+
+// Samples an elliptical arc centered on `(cx, cy)`, with the given radii and
+// rotation of the X axis (in radians), from `startAngle` and sweeping through
+// `sweepAngle` radians (positive is clockwise in screen coordinates).
+function sampleArc(points, cx, cy, rx, ry, rotation, startAngle, sweepAngle) {
+	var cos = Math.cos(rotation);
+	var sin = Math.sin(rotation);
+	var n = sampleCount(Math.abs(sweepAngle) * Math.max(rx, ry));
+	for (var i = 1; i <= n; i++) {
+		var angle = startAngle + sweepAngle * i / n;
+		var x = rx * Math.cos(angle);
+		var y = ry * Math.sin(angle);
+		points.push([
+			cx + x * cos - y * sin,
+			cy + x * sin + y * cos
+		]);
+	}
+}
+
+
+// Converts an SVG arc from endpoint to center parameterization, and samples it.
+// See https://www.w3.org/TR/SVG/implnote.html#ArcConversionEndpointToCenter
+function sampleSvgArc(points, p0, rx, ry, xAxisRotation, largeArc, sweep, p1) {
+	rx = Math.abs(rx);
+	ry = Math.abs(ry);
+	if (!rx || !ry) {
+		points.push(p1);
+		return;
+	}
+
+	var phi = xAxisRotation * Math.PI / 180;
+	var cos = Math.cos(phi);
+	var sin = Math.sin(phi);
+
+	var dx = (p0[0] - p1[0]) / 2;
+	var dy = (p0[1] - p1[1]) / 2;
+	var x1 =  cos * dx + sin * dy;
+	var y1 = -sin * dx + cos * dy;
+
+	// Scale up the radii if they can't span the endpoints
+	var lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+	if (lambda > 1) {
+		rx *= Math.sqrt(lambda);
+		ry *= Math.sqrt(lambda);
+	}
+
+	var numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+	var denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+	var factor = Math.sqrt(Math.max(numerator / denominator, 0));
+	if (largeArc === sweep) {
+		factor = -factor;
+	}
+	var cx1 =  factor * rx * y1 / ry;
+	var cy1 = -factor * ry * x1 / rx;
+
+	var cx = cos * cx1 - sin * cy1 + (p0[0] + p1[0]) / 2;
+	var cy = sin * cx1 + cos * cy1 + (p0[1] + p1[1]) / 2;
+
+	var startAngle = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+	var endAngle = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx);
+	var sweepAngle = endAngle - startAngle;
+
+	if (sweep && sweepAngle < 0) {
+		sweepAngle += 2 * Math.PI;
+	} else if (!sweep && sweepAngle > 0) {
+		sweepAngle -= 2 * Math.PI;
+	}
+
+	sampleArc(points, cx, cy, rx, ry, phi, startAngle, sweepAngle);
+
+	// Avoid rounding errors at the end of the arc
+	points[points.length - 1] = p1;
+}
+
+
+// Parses SVG path data (the `d` attribute of a `<path>`). A `M` command other
+// than the first one is walked as a straight line, as a finger can't teleport.
+function flattenSvgPath(d, from) {
+	var tokens = d.match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+	var points = [[from[0], from[1]]];
+	var current = [from[0], from[1]];
+	var subpathStart = current;
+	var lastControl = null;	// For the smooth curve commands (S, T)
+	var lastCommand = null;
+	var command = null;
+	var i = 0;
+
+	function number() {
+		var n = Number(tokens[i++]);
+		if (isNaN(n)) {
+			throw new Error('Invalid SVG path data: ' + d);
+		}
+		return n;
+	}
+
+	function point(relative) {
+		var x = number();
+		var y = number();
+		return relative ? [current[0] + x, current[1] + y] : [x, y];
+	}
+
+	// Reflection of the last control point, if the last command was of the given kinds
+	function reflection(kinds) {
+		if (lastControl && kinds.indexOf(lastCommand.toUpperCase()) !== -1) {
+			return [2 * current[0] - lastControl[0], 2 * current[1] - lastControl[1]];
+		}
+		return current;
+	}
+
+	while (i < tokens.length) {
+		if (/^[a-zA-Z]$/.test(tokens[i])) {
+			command = tokens[i++];
+		} else if (!command || command.toUpperCase() === 'Z') {
+			throw new Error('Invalid SVG path data: ' + d);
+		}
+
+		var relative = command === command.toLowerCase();
+		var control = null;
+		var to;
+
+		switch (command.toUpperCase()) {
+			case 'M':
+				to = point(relative);
+				if (lastCommand === null) {
+					// Initial move: the path starts there instead
+					points[0] = to;
+				} else {
+					points.push(to);
+				}
+				subpathStart = to;
+				// Subsequent pairs are implicit lineto commands
+				command = relative ? 'l' : 'L';
+				break;
+			case 'L':
+				to = point(relative);
+				points.push(to);
+				break;
+			case 'H':
+				to = [relative ? current[0] + number() : number(), current[1]];
+				points.push(to);
+				break;
+			case 'V':
+				to = [current[0], relative ? current[1] + number() : number()];
+				points.push(to);
+				break;
+			case 'Q':
+				control = point(relative);
+				to = point(relative);
+				sampleQuadratic(points, current, control, to);
+				break;
+			case 'T':
+				control = reflection(['Q', 'T']);
+				to = point(relative);
+				sampleQuadratic(points, current, control, to);
+				break;
+			case 'C':
+				var control1 = point(relative);
+				control = point(relative);
+				to = point(relative);
+				sampleCubic(points, current, control1, control, to);
+				break;
+			case 'S':
+				var reflected = reflection(['C', 'S']);
+				control = point(relative);
+				to = point(relative);
+				sampleCubic(points, current, reflected, control, to);
+				break;
+			case 'A':
+				var rx = number();
+				var ry = number();
+				var rotation = number();
+				var largeArc = !!number();
+				var sweep = !!number();
+				to = point(relative);
+				sampleSvgArc(points, current, rx, ry, rotation, largeArc, sweep, to);
+				break;
+			case 'Z':
+				to = subpathStart;
+				points.push(to);
+				break;
+		}
+
+		lastCommand = command;
+		lastControl = control;
+		current = to;
+	}
+
+	return points;
+}
+
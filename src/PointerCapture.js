@@ -0,0 +1,179 @@
+
+// Pointer capture for the synthetic pointers of the fingers. Only for internal
+// use, not exposed to the API user.
+//
+// Browsers only know about their real pointers, and throw when calling
+// `setPointerCapture()` with any other `pointerId`. So the pointer capture
+// methods of `Element` are wrapped: the ids of the fingers are handled here,
+// and any other id is left to the browser. Real pointers might share ids with
+// fingers (Chrome's mouse is `1`), so only the calls for fingers which are
+// down, or whose pointer is captured, are handled here.
+//
+// Each window has its own `Element`, so the methods are wrapped in the window
+// of each finger.
+//
+// As per the Pointer Events spec, a call to `setPointerCapture()` or
+// `releasePointerCapture()` only sets a "pending" capture target, which takes
+// effect (firing `gotpointercapture` and `lostpointercapture`) right before
+// the next pointer event of that pointer.
+
+
+// Fingers with synthetic pointers, by pointer id
+var pointers = {};
+
+// Pending capture target of each pointer (`undefined` when it's to be released)
+var pending = {};
+
+// Current capture target of each pointer, if any
+var captures = {};
+
+// `Element` prototypes whose methods have been wrapped already
+var installed = [];
+
+
+// Returns a `DOMException` (or an `Error`, for browsers which cannot build one)
+// with the given name.
+function domError(message, name) {
+	try {
+		return new DOMException(message, name);
+	} catch(e) {
+		var err = new Error(message);
+		err.name = name;
+		return err;
+	}
+}
+
+
+// Whether the given element is in the document.
+function isConnected(element) {
+	return 'isConnected' in element ? element.isConnected : element.ownerDocument.documentElement.contains(element);
+}
+
+
+// Whether the given pointer belongs to a finger, and is captured (or about to be).
+function isCaptured(pointerId) {
+	return !!(pointers[pointerId] && (pending[pointerId] || captures[pointerId]));
+}
+
+
+// Wraps the pointer capture methods of `Element` in the given window, once.
+function install(win) {
+	if (!win.Element || installed.indexOf(win.Element.prototype) !== -1) {
+		return;
+	}
+	var proto = win.Element.prototype;
+	installed.push(proto);
+
+	var originalSet = proto.setPointerCapture;
+	var originalRelease = proto.releasePointerCapture;
+	var originalHas = proto.hasPointerCapture;
+
+	proto.setPointerCapture = function(pointerId) {
+		var finger = pointers[pointerId];
+		// Only pointers with some pressed button can be captured
+		if (finger && finger._state.down) {
+			if (!isConnected(this)) {
+				throw domError('Cannot capture a pointer with an element which is not in the document', 'InvalidStateError');
+			}
+			pending[pointerId] = this;
+			return;
+		}
+		if (originalSet) {
+			return originalSet.call(this, pointerId);
+		}
+		if (!finger) {
+			throw domError('No active pointer with the id ' + pointerId, 'NotFoundError');
+		}
+	};
+
+	proto.releasePointerCapture = function(pointerId) {
+		if (isCaptured(pointerId)) {
+			if (pending[pointerId] === this) {
+				pending[pointerId] = undefined;
+			}
+			return;
+		}
+		if (originalRelease) {
+			return originalRelease.call(this, pointerId);
+		}
+		if (!pointers[pointerId]) {
+			throw domError('No active pointer with the id ' + pointerId, 'NotFoundError');
+		}
+	};
+
+	proto.hasPointerCapture = function(pointerId) {
+		if (isCaptured(pointerId)) {
+			return pending[pointerId] === this;
+		}
+		return originalHas ? originalHas.call(this, pointerId) : false;
+	};
+}
+
+
+// Makes the pointer of the given finger capturable.
+export function addPointer(finger) {
+	install(finger._window);
+	pointers[finger._id] = finger;
+}
+
+
+// Forgets about the pointer of the given finger.
+export function removePointer(finger) {
+	delete pointers[finger._id];
+	delete pending[finger._id];
+	delete captures[finger._id];
+}
+
+
+// Returns the element currently capturing the given pointer, if any.
+export function getCaptureTarget(pointerId) {
+	return captures[pointerId];
+}
+
+
+// Captures the given pointer with the given element, pending until the next
+// call to `processPendingCapture()`. For the implicit capture of touch pointers.
+export function setPendingCapture(pointerId, element) {
+	if (pointers[pointerId] && element) {
+		pending[pointerId] = element;
+	}
+}
+
+
+// Releases the capture of the given pointer, pending until the next call to
+// `processPendingCapture()`. For the implicit release after `pointerup`.
+export function clearPendingCapture(pointerId) {
+	pending[pointerId] = undefined;
+}
+
+
+// Makes the pending capture target of the given pointer take effect. Returns
+// the events to be fired, as an array of `{type, target}`: a `lostpointercapture`
+// at the old capture target and/or a `gotpointercapture` at the new one. A
+// capture target which has been removed from the document loses the capture,
+// and its `lostpointercapture` goes to its document instead.
+export function processPendingCapture(pointerId) {
+	var changes = [];
+	var current = captures[pointerId];
+	var next = pending[pointerId];
+
+	if (next && !isConnected(next)) {
+		next = pending[pointerId] = undefined;
+	}
+
+	if (current === next) {
+		return changes;
+	}
+
+	if (current) {
+		changes.push({ type: 'lostpointercapture', target: isConnected(current) ? current : current.ownerDocument });
+	}
+	if (next) {
+		changes.push({ type: 'gotpointercapture', target: next });
+		captures[pointerId] = next;
+	} else {
+		delete captures[pointerId];
+	}
+	return changes;
+}
+
@@ -0,0 +1,263 @@
+import * as capabilities from './Capabilities.js';
+
+// 🖑class Recorder
+// Records real mouse, touch or pointer input on a page, so it can be replayed
+// later by a `Hand`: the events are grouped by pointer/touch identifier, and
+// each of them becomes a `Finger` which moves, goes down and up, and changes
+// its pressure with the same timing as the original input.
+// The `Recorder` class is available as `Hand.Recorder`.
+
+/*
+🖑example
+
+```js
+var recorder = new Hand.Recorder({ mode: 'touch' });
+recorder.start();
+
+// ...perform some gesture on the page, then:
+
+recorder.stop();
+console.log(recorder.toScript());	// JavaScript code for a regression test
+recorder.replay(new Hand({ timing: 'minimal' }));
+```
+*/
+
+var eventTypes = {
+	pointer: ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'],
+	touch: ['touchstart', 'touchmove', 'touchend', 'touchcancel'],
+	mouse: ['mousedown', 'mousemove', 'mouseup']
+};
+
+export default class Recorder {
+
+	// 🖑factory Recorder(options?: Recorder options): Recorder
+	// Instantiates a new `Recorder`. It doesn't record anything until `start()` is called.
+	constructor(options) {
+		options = options || {};
+
+		// 🖑option mode: String = *
+		// Which kind of events to record: `pointer`, `touch` or `mouse`.
+		// Only one kind is recorded, as browsers fire compatibility mouse events
+		// (and sometimes pointer events) for touches. Defaults to `pointer` if
+		// the browser supports pointer events, then `touch`, then `mouse`.
+		this._mode = options.mode ||
+			(capabilities.pointer ? 'pointer' : capabilities.touch ? 'touch' : 'mouse');
+		if (!(this._mode in eventTypes)) {
+			throw new Error('Unknown recorder mode: ' + this._mode);
+		}
+
+		// 🖑option target: EventTarget = document
+		// Where to listen for events.
+		this._target = options.target || document;
+
+		this._recording = false;
+		this._onEvent = this._onEvent.bind(this);
+		this._clear();
+	}
+
+
+	// 🖑method start(): this
+	// Discards any previous recording, and starts recording events.
+	start() {
+		if (this._recording) {
+			return this;
+		}
+		this._clear();
+		this._startTime = performance.now();
+		this._recording = true;
+		eventTypes[this._mode].forEach( type => {
+			this._target.addEventListener(type, this._onEvent, true);
+		});
+		return this;
+	}
+
+
+	// 🖑method stop(): this
+	// Stops recording events.
+	stop() {
+		if (!this._recording) {
+			return this;
+		}
+		this._recording = false;
+		eventTypes[this._mode].forEach( type => {
+			this._target.removeEventListener(type, this._onEvent, true);
+		});
+		return this;
+	}
+
+
+	// 🖑method getTrace(): Object
+	// Returns the recorded data, as a plain object which can be serialized
+	// into JSON. It has a `fingers` array, and each finger has its `mode`, its
+	// `pointerType` (for `pointer` fingers), and an array of `samples`. Each
+	// sample has the `time` (in milliseconds since the start of the recording),
+	// the `x` and `y` client coordinates, whether the finger is `down`, its
+	// `pressure` and whether the finger was `cancelled`.
+	getTrace() {
+		return {
+			fingers: this._fingers.map( finger => ({
+				mode: finger.mode,
+				pointerType: finger.pointerType,
+				samples: finger.samples.slice()
+			}))
+		};
+	}
+
+
+	// 🖑method toScript(handName?: String): String
+	// Returns JavaScript code which replays the recording with a `Hand`.
+	// The code creates the hand, in `minimal` timing mode, in a variable
+	// named `handName` (`'hand'` by default).
+	toScript(handName) {
+		handName = handName || 'hand';
+
+		var lines = ['var ' + handName + ' = new Hand({ timing: \'minimal\' });'];
+
+		this._fingers.forEach( (finger, i)=> {
+			var name = 'finger' + (i + 1);
+			var steps = fingerSteps(finger);
+
+			lines.push('');
+			lines.push('var ' + name + ' = ' + handName + '.growFinger(' +
+				JSON.stringify(finger.mode) + ', ' + JSON.stringify(fingerOptions(finger)) + ');');
+			if (steps.length) {
+				lines.push(name);
+				steps.forEach( (step, j)=> {
+					var args = step.args.map( arg => JSON.stringify(arg) ).join(', ');
+					lines.push('\t.' + step.method + '(' + args + ')' + (j === steps.length - 1 ? ';' : ''));
+				});
+			}
+		});
+
+		return lines.join('\n') + '\n';
+	}
+
+
+	// 🖑method replay(hand: Hand): Finger[]
+	// Replays the recording with the given hand, growing a finger for each
+	// recorded pointer/touch. Returns the grown fingers.
+	replay(hand) {
+		return this._fingers.map( finger => {
+			var f = hand.growFinger(finger.mode, fingerOptions(finger));
+			fingerSteps(finger).forEach( step => {
+				f[step.method].apply(f, step.args);
+			});
+			return f;
+		});
+	}
+
+
+	// Discards the recorded data.
+	_clear() {
+		this._fingers = [];
+
+		// Recorded fingers, by pointer/touch identifier. Identifiers are
+		// reused by browsers once a pointer is lifted, and that's fine: the
+		// finger goes down again.
+		this._fingersById = {};
+	}
+
+
+	// Event handler for all the recorded events.
+	_onEvent(ev) {
+		var time = performance.now() - this._startTime;
+
+		if (this._mode === 'touch') {
+			var down = ev.type === 'touchstart' || ev.type === 'touchmove';
+			for (var i = 0; i < ev.changedTouches.length; i++) {
+				var touch = ev.changedTouches[i];
+				this._addSample(touch.identifier, {
+					time: time,
+					x: touch.clientX,
+					y: touch.clientY,
+					down: down,
+					pressure: touch.force || 0.5,
+					cancelled: ev.type === 'touchcancel'
+				});
+			}
+		} else if (this._mode === 'pointer') {
+			this._addSample(ev.pointerId, {
+				time: time,
+				x: ev.clientX,
+				y: ev.clientY,
+				down: ev.buttons !== 0 && ev.type !== 'pointerup' && ev.type !== 'pointercancel',
+				pressure: ev.pressure,
+				cancelled: ev.type === 'pointercancel'
+			}, ev.pointerType);
+		} else {
+			this._addSample('mouse', {
+				time: time,
+				x: ev.clientX,
+				y: ev.clientY,
+				down: ev.type === 'mouseup' ? false : ev.type === 'mousedown' || !!(ev.buttons & 1),
+				pressure: 0.5,
+				cancelled: false
+			});
+		}
+	}
+
+
+	// Adds a sample to the finger with the given identifier, creating it if needed.
+	_addSample(id, sample, pointerType) {
+		var finger = this._fingersById[id];
+		if (!finger) {
+			finger = this._fingersById[id] = {
+				mode: this._mode,
+				pointerType: pointerType,
+				samples: []
+			};
+			this._fingers.push(finger);
+		}
+		finger.samples.push(sample);
+	}
+}
+
+
+// Returns the options for growing a finger which replays the recorded one.
+function fingerOptions(finger) {
+	var first = finger.samples[0];
+	var options = {};
+	if (finger.pointerType) {
+		options.pointerType = finger.pointerType;
+	}
+	if (first) {
+		options.x = first.x;
+		options.y = first.y;
+		options.pressure = first.pressure;
+	}
+	return options;
+}
+
+
+// Turns the samples of a recorded finger into an array of finger method
+// calls, as `{method: 'moveTo', args: [x, y, delay]}`. The finger is moved
+// linearly between samples, which is as good as it gets.
+function fingerSteps(finger) {
+	var steps = [];
+	var state = Object.assign({ down: false, time: 0 }, fingerOptions(finger));
+
+	finger.samples.forEach( sample => {
+		// Pressure changes apply to the whole movement towards the sample
+		if (finger.mode !== 'mouse' && sample.pressure !== state.pressure) {
+			steps.push({ method: 'update', args: [{ pressure: sample.pressure }] });
+		}
+
+		var delay = Math.round(sample.time) - Math.round(state.time);
+		if (sample.x !== state.x || sample.y !== state.y) {
+			steps.push({ method: 'moveTo', args: [sample.x, sample.y, delay] });
+		} else if (delay > 0) {
+			steps.push({ method: 'wait', args: [delay] });
+		}
+
+		// Cancellations are replayed as normal lifts, as `reset()` would
+		// discard the rest of the queued steps
+		if (sample.down !== state.down) {
+			steps.push({ method: sample.down ? 'down' : 'up', args: [] });
+		}
+
+		state = sample;
+	});
+
+	return steps;
+}
+
@@ -0,0 +1,234 @@
+import IvansFinger from './IvansIndexFinger.js';
+
+// Renderers draw the fingers on the page. Only for internal use: API users
+// pick one with the `renderer` option, or pass their own `Renderer`.
+
+/*
+🖑miniclass Renderer (Finger)
+
+A renderer is an object with any of the following methods, which get called
+with the `Finger` and (a copy of) its [state](#finger-state). They are called
+for all the fingers which use the renderer.
+
+Anything a renderer adds to the page should have `pointer-events: none`, so it
+doesn't get in the way of the events of the fingers.
+
+🖑example
+
+```js
+var h = new Hand({ renderer: {
+	create: (finger, state)=> console.log('Finger', finger.getId(), 'at', state.x, state.y),
+	down:   (finger, state)=> console.log('Finger', finger.getId(), 'down'),
+	up:     (finger, state)=> console.log('Finger', finger.getId(), 'up'),
+}});
+```
+
+🖑method create(finger: Finger, state: Finger state)
+Called when the finger is created.
+🖑method move(finger: Finger, state: Finger state)
+Called whenever the state of the finger changes: its position, but also its
+pressure, contact size and so on.
+🖑method down(finger: Finger, state: Finger state)
+Called when the finger goes down.
+🖑method up(finger: Finger, state: Finger state)
+Called when the finger goes up.
+🖑method destroy(finger: Finger)
+Called when the finger is removed from its hand.
+*/
+
+
+// Common bits of the built-in renderers: an element positioned at the finger,
+// over anything else, and only shown while the finger is down.
+class ElementRenderer {
+
+	// Adds the element to the page of the finger.
+	_addElement(finger, element) {
+		this._element = element;
+		element.style.zIndex        = 1000000;	// Some ridiculously high value
+		element.style.position      = 'absolute';
+		element.style.top           = 0;
+		element.style.left          = 0;
+		element.style.pointerEvents = 'none';
+		element.style.display       = 'none';
+		finger._document.body.appendChild(element);
+	}
+
+	move(finger, state) {
+		// Borrowed from Leaflet code
+		this._element.style.transform = 'translate3d(' + state.x + 'px, ' + state.y + 'px, 0)';
+	}
+
+	down() {
+		this._element.style.display = 'block';
+	}
+
+	up() {
+		this._element.style.display = 'none';
+	}
+
+	destroy() {
+		if (this._element.parentNode) {
+			this._element.parentNode.removeChild(this._element);
+		}
+	}
+}
+
+
+// Draws a SVG ellipse, as big as the contact size of the finger, and darker
+// the more pressure it has.
+class CircleRenderer extends ElementRenderer {
+
+	create(finger, state) {
+		var svg = finger._document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+		svg.style.overflow = 'visible';
+		svg.style.height   = '1px';
+		svg.style.width    = '1px';
+
+		this._ellipse = finger._document.createElementNS('http://www.w3.org/2000/svg', 'ellipse');
+		this._ellipse.style.stroke = 'rgba(0,0,0,0.3)';
+		this._ellipse.style.strokeWidth = 2;
+		svg.appendChild(this._ellipse);
+
+		this._addElement(finger, svg);
+		this.move(finger, state);
+	}
+
+	move(finger, state) {
+		super.move(finger, state);
+		// The default contact size of 25 pixels gives a circle with a radius of 20
+		this._ellipse.setAttribute('rx', state.width * 0.8);
+		this._ellipse.setAttribute('ry', state.height * 0.8);
+		this._ellipse.style.fill = 'rgba(0,0,0,' + (0.05 + state.pressure * 0.3) + ')';
+	}
+}
+
+
+// Draws an image of Ivan's index finger, scaled by the contact size of the
+// finger, and fainter the less pressure it has.
+class FingerRenderer extends ElementRenderer {
+
+	create(finger, state) {
+		var img = finger._document.createElement('img');
+		img.src = IvansFinger;
+		img.style.height     = '160px';
+		img.style.width      = '160px';
+		img.style.marginLeft = '-20px';
+		img.style.marginTop  = '-20px';
+
+		this._addElement(finger, img);
+		this.move(finger, state);
+	}
+
+	move(finger, state) {
+		// The tip of the finger is 20 pixels away from the corner of the image,
+		// and the image is drawn for the default contact size of 25 pixels.
+		this._element.style.transformOrigin = '20px 20px';
+		this._element.style.transform = 'translate3d(' + state.x + 'px, ' + state.y + 'px, 0) ' +
+			'scale(' + (state.width / 25) + ', ' + (state.height / 25) + ')';
+		this._element.style.opacity = Math.min(1, 0.5 + state.pressure);
+	}
+}
+
+
+// Draws the path of the finger while down during the last `duration`
+// milliseconds, as line segments which fade out as they get older. The trail
+// keeps fading (on every animation frame) after the finger stops or lifts.
+// This is about what people see, so it goes by the real time, even when the
+// hand has a virtual clock.
+class TrailRenderer {
+
+	constructor(duration) {
+		this._duration = duration;
+		this._points = [];
+	}
+
+	create(finger) {
+		this._window = finger._window;
+		this._document = finger._document;
+		this._svg = this._document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+		this._svg.style.zIndex        = 1000000;
+		this._svg.style.position      = 'absolute';
+		this._svg.style.top           = 0;
+		this._svg.style.left          = 0;
+		this._svg.style.height        = '1px';
+		this._svg.style.width         = '1px';
+		this._svg.style.overflow      = 'visible';
+		this._svg.style.pointerEvents = 'none';
+		this._document.body.appendChild(this._svg);
+	}
+
+	move(finger, state) {
+		this._points.push({ x: state.x, y: state.y, down: state.down, time: this._window.performance.now() });
+		this._draw();
+	}
+
+	// Drops the points which are too old, draws the rest, and schedules
+	// drawing again while there is something left to fade out.
+	_draw() {
+		var now = this._window.performance.now();
+		this._points = this._points.filter( p => now - p.time <= this._duration );
+
+		while (this._svg.firstChild) {
+			this._svg.removeChild(this._svg.firstChild);
+		}
+
+		for (var i = 1; i < this._points.length; i++) {
+			var from = this._points[i - 1];
+			var to = this._points[i];
+			if (!from.down || !to.down) {
+				continue;
+			}
+			var line = this._document.createElementNS('http://www.w3.org/2000/svg', 'line');
+			line.setAttribute('x1', from.x);
+			line.setAttribute('y1', from.y);
+			line.setAttribute('x2', to.x);
+			line.setAttribute('y2', to.y);
+			line.style.stroke = 'rgba(0,0,0,' + (0.4 * (1 - (now - to.time) / this._duration)) + ')';
+			line.style.strokeWidth = 4;
+			line.style.strokeLinecap = 'round';
+			this._svg.appendChild(line);
+		}
+
+		if (this._svg.firstChild && this._nextFrame === undefined) {
+			this._nextFrame = this._window.requestAnimationFrame( ()=> {
+				this._nextFrame = undefined;
+				this._draw();
+			});
+		}
+	}
+
+	destroy() {
+		if (this._nextFrame !== undefined) {
+			this._window.cancelAnimationFrame(this._nextFrame);
+			this._nextFrame = undefined;
+		}
+		if (this._svg.parentNode) {
+			this._svg.parentNode.removeChild(this._svg);
+		}
+	}
+}
+
+
+// Returns the renderers for a finger: the one for the given `renderer`
+// option (a built-in name or a custom `Renderer`), if any, plus a trail if
+// `trail` is a duration.
+export function createRenderers(renderer, trail) {
+	var renderers = [];
+
+	if (renderer === 'circle') {
+		renderers.push(new CircleRenderer());
+	} else if (renderer === 'finger') {
+		renderers.push(new FingerRenderer());
+	} else if (renderer && typeof renderer === 'object') {
+		renderers.push(renderer);
+	} else if (renderer !== 'none') {
+		throw new Error('Unknown renderer: ' + renderer);
+	}
+
+	if (trail) {
+		renderers.push(new TrailRenderer(trail));
+	}
+
+	return renderers;
+}
+
@@ -0,0 +1,316 @@
+
+// Validation, playback and export of gesture scripts. The public interface is
+// `Hand.play()` and `Hand.toScript()`.
+
+/*
+🖑miniclass Script (Hand)
+
+A script is a plain object (which can be stored as JSON) describing a hand,
+its fingers and everything they do:
+
+```js
+{
+	"hand": { "timing": "minimal" },
+	"fingers": [{
+		"mode": "touch",
+		"options": { "x": 100, "y": 100 },
+		"actions": [
+			{ "action": "down" },
+			{ "action": "move", "x": 200, "y": 100, "duration": 500, "easing": "ease-in" },
+			{ "action": "sync", "name": "both-moved" },
+			{ "action": "up" }
+		]
+	}, {
+		"mode": "touch",
+		"options": { "x": 100, "y": 200 },
+		"actions": [
+			{ "action": "down" },
+			{ "action": "move", "dx": 100, "dy": 100, "duration": 800 },
+			{ "action": "sync", "name": "both-moved", "delay": 100 },
+			{ "action": "up" }
+		]
+	}]
+}
+```
+
+* `hand` holds the [`Hand` options](#hand-option), except the callbacks
+  and the `window` or `document`.
+* Each finger has a `mode` (`mouse`, `touch` or `pointer`), the `options`
+  it is grown with (see the [finger state](#finger-state)), and a list of `actions`.
+* Each action has an `action` type, and some properties mirroring the parameters
+  of the `Finger` methods:
+  * `{ action: 'move', x, y, duration, easing, space }`, as `moveTo()`
+  * `{ action: 'move', dx, dy, duration, easing }`, as `moveBy()`
+  * `{ action: 'move', target, anchor, offset, duration, easing }`, as `moveTo()`
+    with a CSS selector
+  * `{ action: 'moveAlong', path, duration, easing }`, as `moveAlong()`
+  * `{ action: 'down', delay, button }` and `{ action: 'up', delay, button }`
+  * `{ action: 'wait', duration }`
+  * `{ action: 'update', state, delay }`, as `update()`
+  * `{ action: 'wheel', deltaX, deltaY, duration, deltaMode, device, notch }`, as `wheel()`
+  * `{ action: 'sync', name, delay }`, a sync point: all the fingers with a
+    sync point of the same `name` wait for each other there, as in `Hand.sync()`.
+    A finger can have each sync point only once.
+*/
+
+
+// Checks for the types of the properties of the actions
+var isNumber = value => typeof value === 'number' && isFinite(value);
+var isString = value => typeof value === 'string';
+var isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+var isPoint = value => Array.isArray(value) && value.length === 2 && value.every(isNumber);
+
+var checks = {
+	number: [isNumber, 'a number'],
+	string: [isString, 'a string'],
+	object: [isObject, 'an object'],
+	point: [isPoint, 'an array of two numbers'],
+	button: [value => isString(value) || isNumber(value), 'a string or a number'],
+	anchor: [value => isString(value) || isPoint(value), 'a string or an array of two numbers'],
+	path: [value => isString(value) || Array.isArray(value), 'a string or an array'],
+	deltaMode: [value => isString(value) || isNumber(value), 'a string or a number']
+};
+
+// Allowed properties of each kind of action, and which kind of value they take.
+// Required properties are marked with a `!`.
+var actionProperties = {
+	move: { x: 'number', y: 'number', dx: 'number', dy: 'number', target: 'string',
+	        anchor: 'anchor', offset: 'point', duration: 'number', easing: 'string', space: 'string' },
+	moveAlong: { path: 'path!', duration: 'number', easing: 'string' },
+	down: { delay: 'number', button: 'button' },
+	up: { delay: 'number', button: 'button' },
+	wait: { duration: 'number!' },
+	update: { state: 'object!', delay: 'number' },
+	wheel: { deltaX: 'number!', deltaY: 'number!', duration: 'number', deltaMode: 'deltaMode',
+	         device: 'string', notch: 'number' },
+	sync: { name: 'string!', delay: 'number' }
+};
+
+// Ways of specifying the destination of a `move` action
+var moveKinds = [['x', 'y'], ['dx', 'dy'], ['target']];
+
+
+// Throws an error pointing at the given part of the script.
+function fail(path, message) {
+	throw new Error('Invalid script: ' + path + ' ' + message);
+}
+
+
+// Throws an error if the given script is not valid.
+export function validateScript(script) {
+	if (!isObject(script)) {
+		fail('(root)', 'must be an object');
+	}
+	if ('hand' in script && !isObject(script.hand)) {
+		fail('hand', 'must be an object');
+	}
+	if (!Array.isArray(script.fingers)) {
+		fail('fingers', 'must be an array');
+	}
+
+	script.fingers.forEach( (finger, i)=> {
+		var fingerPath = 'fingers[' + i + ']';
+		if (!isObject(finger)) {
+			fail(fingerPath, 'must be an object');
+		}
+		if (['mouse', 'touch', 'pointer'].indexOf(finger.mode) === -1) {
+			fail(fingerPath + '.mode', 'must be one of "mouse", "touch" or "pointer"');
+		}
+		if ('options' in finger && !isObject(finger.options)) {
+			fail(fingerPath + '.options', 'must be an object');
+		}
+		if ('actions' in finger && !Array.isArray(finger.actions)) {
+			fail(fingerPath + '.actions', 'must be an array');
+		}
+
+		var syncNames = [];
+		(finger.actions || []).forEach( (action, j)=> {
+			var actionPath = fingerPath + '.actions[' + j + ']';
+			if (!isObject(action)) {
+				fail(actionPath, 'must be an object');
+			}
+
+			var properties = actionProperties[action.action];
+			if (!properties) {
+				fail(actionPath + '.action', 'must be one of ' +
+					Object.keys(actionProperties).map( a => '"' + a + '"' ).join(', ') +
+					', but is ' + JSON.stringify(action.action));
+			}
+
+			for (var key in action) {
+				if (key !== 'action' && !(key in properties)) {
+					fail(actionPath, 'has an unknown property "' + key + '" for a "' + action.action + '" action');
+				}
+			}
+
+			for (key in properties) {
+				var required = properties[key].slice(-1) === '!';
+				var check = checks[properties[key].replace('!', '')];
+				if (!(key in action)) {
+					if (required) {
+						fail(actionPath, 'is missing the "' + key + '" property');
+					}
+				} else if (!check[0](action[key])) {
+					fail(actionPath + '.' + key, 'must be ' + check[1]);
+				}
+			}
+
+			if (action.action === 'move') {
+				var kinds = moveKinds.filter( kind => kind.some( key => key in action ) );
+				if (kinds.length !== 1 || !kinds[0].every( key => key in action )) {
+					fail(actionPath, 'must have either "x" and "y", "dx" and "dy", or "target"');
+				}
+			}
+
+			if (action.action === 'sync') {
+				if (syncNames.indexOf(action.name) !== -1) {
+					fail(actionPath, 'repeats the sync point "' + action.name + '"');
+				}
+				syncNames.push(action.name);
+			}
+		});
+	});
+
+	// Fail early on sync points which can never be reached
+	walkScript(script, () => {}, () => {});
+}
+
+
+// Queues a script action on a finger
+function runAction(finger, action) {
+	var options = {};
+	['easing', 'space', 'anchor', 'offset'].forEach( key => {
+		if (key in action) {
+			options[key] = action[key];
+		}
+	});
+
+	switch (action.action) {
+		case 'move':
+			if ('target' in action) {
+				return finger.moveTo(action.target, options, action.duration || 0);
+			} else if ('dx' in action) {
+				return finger.moveBy(action.dx, action.dy, action.duration || 0, options);
+			}
+			return finger.moveTo(action.x, action.y, action.duration || 0, options);
+		case 'moveAlong':
+			return finger.moveAlong(action.path, action.duration || 0, options);
+		case 'down':
+			return finger.down(action.delay, action.button);
+		case 'up':
+			return finger.up(action.delay, action.button);
+		case 'wait':
+			return finger.wait(action.duration);
+		case 'update':
+			return finger.update(action.state, action.delay);
+		case 'wheel':
+			return finger.wheel(action.deltaX, action.deltaY, action.duration || 0, {
+				deltaMode: action.deltaMode,
+				device: action.device,
+				notch: action.notch
+			});
+	}
+}
+
+
+// Walks through the actions of all the fingers of a script, in the order they
+// must be queued. The fingers run their actions up to their next sync point;
+// then, the fingers waiting at a sync point which all of its fingers have
+// reached are synced, and so on. `onAction` is called with the finger index and
+// each action which is not a sync point, and `onSync` with the indexes of the
+// fingers, the delay and the name of each sync point.
+function walkScript(script, onAction, onSync) {
+	var actions = script.fingers.map( f => f.actions || [] );
+	var positions = actions.map( () => 0 );
+	var indexes = actions.map( (a, i) => i );
+
+	// Returns the action the i-th finger is at, if any
+	var current = i => positions[i] < actions[i].length ? actions[i][positions[i]] : undefined;
+
+	while (true) {
+		indexes.forEach( i => {
+			while (current(i) && current(i).action !== 'sync') {
+				onAction(i, current(i));
+				positions[i]++;
+			}
+		});
+
+		var waiting = indexes.filter( i => current(i) );
+		if (!waiting.length) {
+			return;
+		}
+
+		// Look for a sync point which all of its fingers have reached
+		var ready;
+		var participants;
+		waiting.some( i => {
+			var name = current(i).name;
+			participants = indexes.filter( j =>
+				actions[j].some( (action, k) => k >= positions[j] && action.action === 'sync' && action.name === name )
+			);
+			if (participants.every( j => current(j).name === name )) {
+				ready = name;
+				return true;
+			}
+		});
+
+		if (ready === undefined) {
+			fail('fingers[' + waiting[0] + '].actions[' + positions[waiting[0]] + ']',
+				'waits for the sync point "' + current(waiting[0]).name + '" forever, as other fingers wait for other sync points');
+		}
+
+		onSync(participants, Math.max.apply(Math, participants.map( j => current(j).delay || 0 )), ready);
+		participants.forEach( j => positions[j]++ );
+	}
+}
+
+
+// Grows the fingers of a (valid) script in the given hand, and queues all of
+// their actions.
+export function playScript(hand, script) {
+	var fingers = script.fingers.map( f => hand.growFinger(f.mode, Object.assign({}, f.options)) );
+
+	walkScript(script,
+		(i, action) => runAction(fingers[i], action),
+		(indexes, delay, name) => hand._syncFingers(indexes.map( i => fingers[i] ), delay, name)
+	);
+
+	return hand;
+}
+
+
+// Returns a copy of an object without the properties whose values are functions
+// or `undefined`, which cannot be serialized.
+function serializable(obj) {
+	var copy = {};
+	for (var key in obj) {
+		if (typeof obj[key] !== 'function' && obj[key] !== undefined) {
+			copy[key] = obj[key];
+		}
+	}
+	return copy;
+}
+
+
+// Returns a script which reproduces everything queued so far in the given hand.
+export function exportScript(hand) {
+	var handOptions = serializable(hand._options);
+	// Windows and documents are not data, the player of the script picks its own
+	delete handOptions.window;
+	delete handOptions.document;
+
+	return {
+		hand: handOptions,
+		fingers: hand._fingers.map( (finger, i)=> ({
+			mode: finger._mode,
+			options: serializable(finger._options),
+			actions: finger._actions.map( (action, j)=> {
+				if (action.unexportable) {
+					throw new Error('Cannot export fingers[' + i + '].actions[' + j + '] to a script: ' + action.unexportable);
+				}
+				return serializable(action);
+			})
+		}))
+	};
+}
+
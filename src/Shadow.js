@@ -0,0 +1,43 @@
+
+// Hit testing and walking the DOM across shadow boundaries. Only for internal
+// use, not exposed to the API user.
+//
+// `document.elementFromPoint()` stops at shadow hosts, but browsers fire the
+// events of real input at the deepest element, inside (open) shadow roots.
+// The events are `composed`, so the browser itself retargets them (and their
+// `relatedTarget`s and `Touch.target`s) for the listeners outside.
+
+
+// Returns the deepest element of the given document at the given viewport
+// coordinates, drilling into open shadow roots.
+export function elementFromPoint(doc, x, y) {
+	var element = doc.elementFromPoint(x, y);
+	while (element && element.shadowRoot && element.shadowRoot.elementFromPoint) {
+		var inner = element.shadowRoot.elementFromPoint(x, y);
+		if (!inner || inner === element) {
+			break;
+		}
+		element = inner;
+	}
+	return element;
+}
+
+
+// Returns the parent of the given node in the event path, as browsers see it:
+// the slot a node is assigned to, and the host of a shadow root.
+export function composedParent(node) {
+	return node.assignedSlot || node.parentNode || node.host || null;
+}
+
+
+// Like `a.contains(b)`, but looking into the shadow trees inside `a`.
+export function composedContains(a, b) {
+	while (b) {
+		if (b === a) {
+			return true;
+		}
+		b = composedParent(b);
+	}
+	return false;
+}
+